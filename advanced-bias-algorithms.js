@@ -4,7 +4,10 @@
  */
 
 class AdvancedBiasAnalytics {
-    constructor() {
+    constructor(options = {}) {
+        // Decides which entity types take part in party comparisons
+        this.entityModel = options.entityModel || new (typeof EntityModel !== 'undefined' ? EntityModel : require('./entity-model'))();
+        
         this.biasThresholds = {
             partyBias: 5,           // Maximum acceptable party score difference
             sourceBias: 8,          // Maximum acceptable source score variance  
@@ -55,6 +58,9 @@ class AdvancedBiasAnalytics {
 
     groupStatementsByParty(statements) {
         return statements.reduce((groups, statement) => {
+            // Corporations, NGOs and commentators have no party and are left out of party comparisons;
+            // candidates and officials without one count as Independent
+            if (!statement.party && statement.entityType && !this.entityModel.isElectoral(statement)) return groups;
             const party = statement.party || 'Independent';
             if (!groups[party]) groups[party] = [];
             groups[party].push(statement);
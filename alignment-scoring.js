@@ -0,0 +1,253 @@
+/**
+ * Alignment Scoring Engine
+ * Science Alignment Scorecard - derives topic metrics from statement positions
+ *
+ * Shared between the browser (loaded before script.js) and Node.js, so that
+ * every number shown for a topic can be reproduced from its statements.
+ */
+
+class AlignmentScoring {
+    constructor(options = {}) {
+        // Optional model (e.g. BayesianAlignment) turning statement alignments into a posterior
+        this.posteriorModel = options.posteriorModel || null;
+        // Optional ConsensusHistory, so statements are scored against the consensus of their date
+        this.consensusHistory = options.consensusHistory || null;
+
+        this.parameters = {
+            toleranceScale: 15      // Points added to half the consensus width before alignment decays
+        };
+
+        // How much a topic counts toward the overall score in 'evidence' mode
+        this.evidenceLevelWeights = {
+            very_high: 1.0,
+            high: 0.8,
+            moderate: 0.6,
+            low: 0.35,
+            very_low: 0.2
+        };
+
+        this.overallModes = {
+            equal: {
+                label: 'Equal topic weights',
+                description: 'Every scored topic counts the same'
+            },
+            evidence: {
+                label: 'Evidence-weighted',
+                description: 'Topics count in proportion to evidence level × (1 - consensus width / 100)'
+            }
+        };
+
+        // Maximum acceptable difference between a hand-entered value and the derived one
+        this.driftTolerances = {
+            candidateMedian: 3,
+            candidateVariability: 3,
+            alignmentScore: 10
+        };
+    }
+
+    /**
+     * 1. STATEMENT-LEVEL ALIGNMENT
+     * Gaussian decay of agreement with distance from the consensus position.
+     * The tolerance widens with the consensus width, so topics where the
+     * evidence is less settled penalise a given distance less.
+     */
+    statementAlignment(position, consensusPosition, consensusWidth) {
+        const tolerance = consensusWidth / 2 + this.parameters.toleranceScale;
+        const distance = position - consensusPosition;
+        return 100 * Math.exp(-0.5 * Math.pow(distance / tolerance, 2));
+    }
+
+    /**
+     * Alignment of one statement with the consensus it is scored against:
+     * the consensus on the statement's date, or the current one when the
+     * topic's consensusMode is 'current' or no history is available.
+     */
+    alignStatement(statement, topic) {
+        const consensus = this.consensusHistory
+            ? this.consensusHistory.consensusFor(topic, statement, topic.consensusMode)
+            : topic;
+        return this.statementAlignment(statement.position, consensus.consensusPosition, consensus.consensusWidth);
+    }
+
+    /**
+     * 2. TOPIC-LEVEL METRICS
+     * candidateMedian      - median of statement positions
+     * candidateVariability - spread (max - min) of statement positions
+     * alignmentScore       - mean statement alignment, so both distance from
+     *                        consensus and inconsistency lower the score;
+     *                        the posterior mean when a posterior model is set
+     * alignmentPosterior   - posterior summary with credible interval, if any
+     *
+     * weights - optional per-statement weights (see StatementWeighting); they
+     * apply to the alignment only, median and spread describe raw positions
+     */
+    scoreTopic(statements, consensus, weights = null) {
+        const scored = (statements || [])
+            .map((statement, index) => ({ statement, position: statement.position, weight: weights ? weights[index] : 1 }))
+            .filter(entry => typeof entry.position === 'number' && !isNaN(entry.position));
+        const positions = scored.map(entry => entry.position);
+        const statementWeights = scored.map(entry => entry.weight);
+
+        if (positions.length === 0) {
+            return {
+                candidateMedian: null,
+                candidateVariability: null,
+                alignmentScore: null,
+                alignmentPosterior: null,
+                statementAlignments: [],
+                statementWeights: [],
+                statementCount: 0
+            };
+        }
+
+        const alignments = scored.map(entry => this.alignStatement(entry.statement, consensus));
+
+        const posterior = this.posteriorModel ? this.posteriorModel.posterior(alignments, statementWeights) : null;
+
+        return {
+            candidateMedian: Math.round(this.median(positions)),
+            candidateVariability: Math.round(Math.max(...positions) - Math.min(...positions)),
+            alignmentScore: Math.round(posterior ? posterior.mean : this.weightedMean(alignments, statementWeights)),
+            alignmentPosterior: posterior,
+            statementAlignments: alignments,
+            statementWeights,
+            statementCount: positions.length
+        };
+    }
+
+    /**
+     * 3. OVERALL SCORE
+     * Weighted mean of topic alignment scores. In 'evidence' mode a topic's
+     * weight is its evidence level weight times (1 - consensusWidth / 100), so
+     * a statement on a settled, narrow consensus counts more than one on an
+     * open question. Returns the score and each topic's contribution.
+     */
+    topicWeight(topic, mode = 'equal') {
+        if (mode !== 'evidence') return 1;
+
+        const evidenceLevel = topic.consensusInfo && topic.consensusInfo.evidenceLevel;
+        const levelWeight = this.evidenceLevelWeights[evidenceLevel] || this.evidenceLevelWeights.moderate;
+        const widthFactor = Math.max(0, 1 - (topic.consensusWidth || 0) / 100);
+        return levelWeight * widthFactor;
+    }
+
+    overallScore(topics, mode = 'equal') {
+        const scoredTopics = topics.filter(topic => topic.alignmentScore !== null && topic.alignmentScore !== undefined);
+        const weights = scoredTopics.map(topic => this.topicWeight(topic, mode));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        if (scoredTopics.length === 0 || totalWeight === 0) {
+            return { score: null, mode, contributions: [] };
+        }
+
+        const contributions = scoredTopics.map((topic, i) => ({
+            statement: topic.statement,
+            alignmentScore: topic.alignmentScore,
+            weight: weights[i],
+            share: weights[i] / totalWeight,
+            contribution: topic.alignmentScore * weights[i] / totalWeight
+        }));
+
+        return {
+            score: contributions.reduce((sum, entry) => sum + entry.contribution, 0),
+            mode,
+            contributions
+        };
+    }
+
+    /**
+     * 4. DRIFT DETECTION
+     * Compares hand-entered values against derived ones and returns every
+     * field whose difference exceeds its tolerance.
+     */
+    findDiscrepancies(recorded, derived) {
+        return Object.keys(this.driftTolerances)
+            .filter(field => recorded[field] !== null && recorded[field] !== undefined)
+            .map(field => ({
+                field,
+                recorded: recorded[field],
+                derived: derived[field],
+                difference: derived[field] === null ? null : derived[field] - recorded[field]
+            }))
+            .filter(entry => entry.derived === null || Math.abs(entry.difference) > this.driftTolerances[entry.field]);
+    }
+
+    /**
+     * Validate a whole entity data file against the consensus file.
+     * Returns one entry per entity topic with discrepancies.
+     */
+    validateDataset(entityData, consensusData) {
+        const report = [];
+        const entities = entityData.entities || entityData.candidates;
+
+        Object.keys(entities).forEach(entityId => {
+            const entity = entities[entityId];
+
+            Object.keys(entity.positions || {}).forEach(topicId => {
+                const consensusTopic = consensusData.topics[topicId];
+                if (!consensusTopic) return;
+
+                const position = entity.positions[topicId];
+                const derived = this.scoreTopic(position.statements, consensusTopic);
+                const discrepancies = this.findDiscrepancies(position, derived);
+
+                if (discrepancies.length > 0) {
+                    report.push({ entityId, topicId, discrepancies });
+                }
+            });
+        });
+
+        return report;
+    }
+
+    // Statistical helpers
+    weightedMean(values, weights) {
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        return values.reduce((sum, value, i) => sum + value * weights[i], 0) / totalWeight;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 === 0
+            ? (sorted[middle - 1] + sorted[middle]) / 2
+            : sorted[middle];
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlignmentScoring;
+}
+
+if (typeof window !== 'undefined') {
+    window.AlignmentScoring = AlignmentScoring;
+}
+
+// Report drift in the data files when run directly: node alignment-scoring.js [entity-file]
+if (typeof require !== 'undefined' && require.main === module) {
+    const path = require('path');
+    const entityFile = process.argv[2] || 'candidate-data.json';
+    const entityData = require(path.resolve(entityFile));
+    const consensusData = require(path.resolve(__dirname, 'scientific-consensus.json'));
+
+    const BayesianAlignment = require('./bayesian-alignment');
+    const ConsensusHistory = require('./consensus-history');
+
+    const scoring = new AlignmentScoring({
+        posteriorModel: new BayesianAlignment(),
+        consensusHistory: new ConsensusHistory()
+    });
+    const report = scoring.validateDataset(entityData, consensusData);
+
+    if (report.length === 0) {
+        console.log(`✅ ${entityFile}: all recorded values match their statements`);
+    } else {
+        console.log(`⚠️ ${entityFile}: ${report.length} topic(s) with recorded values that disagree with their statements`);
+        report.forEach(entry => {
+            entry.discrepancies.forEach(d => {
+                console.log(`  ${entry.entityId} / ${entry.topicId}: ${d.field} recorded ${d.recorded}, derived ${d.derived}`);
+            });
+        });
+    }
+}
@@ -0,0 +1,142 @@
+/**
+ * API Errors
+ * Science Alignment Scorecard - typed errors and the error responses of server.js
+ *
+ * Node.js only. Every failure the API reports has an HTTP status and a
+ * stable machine-readable code, sent as { error, code, ...details } so the
+ * page can tell a mistyped address from an exhausted API quota. Routes throw
+ * (or pass to next) one of the classes below; errorHandler turns it, or a
+ * StoreError, into the response. Anything else is logged and answered with
+ * a plain 500.
+ */
+
+class ApiError extends Error {
+    constructor(message, status, code, details = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Missing or malformed request fields
+class InvalidInputError extends ApiError {
+    constructor(message, details) {
+        super(message, 400, 'invalid-input', details);
+    }
+}
+
+// No record, snapshot or route with that id
+class NotFoundError extends ApiError {
+    constructor(message) {
+        super(message, 404, 'not-found');
+    }
+}
+
+// A write without the x-api-key ADMIN_API_KEY asks for
+class UnauthorizedError extends ApiError {
+    constructor(message = 'A valid x-api-key header is required to change data') {
+        super(message, 401, 'unauthorized');
+    }
+}
+
+// A write to a server that has no ADMIN_API_KEY and is not in development
+class WritesDisabledError extends ApiError {
+    constructor(message = 'Changing data is disabled on this server until ADMIN_API_KEY is set') {
+        super(message, 403, 'writes-disabled');
+    }
+}
+
+// The ballot provider could not place the address
+class AddressNotFoundError extends ApiError {
+    constructor(message = 'The address could not be found; check the street, city and ZIP code') {
+        super(message, 404, 'address-not-found');
+    }
+}
+
+// The address is real but no election covers it
+class NoElectionError extends ApiError {
+    constructor(message = 'No election was found for this address') {
+        super(message, 404, 'no-election');
+    }
+}
+
+// Our quota with the ballot provider is used up; clients cannot fix this by retrying soon
+class UpstreamQuotaError extends ApiError {
+    constructor(message = 'The ballot service has reached its request quota; try again later') {
+        super(message, 503, 'upstream-quota-exceeded');
+    }
+}
+
+// The ballot provider failed, timed out or rejected our credentials
+class UpstreamUnavailableError extends ApiError {
+    constructor(message = 'The ballot service is unavailable; try again in a few minutes') {
+        super(message, 502, 'upstream-unavailable');
+    }
+}
+
+// This client sent too many requests (see rate-limiter.js)
+class RateLimitedError extends ApiError {
+    constructor(retryAfter) {
+        super(`Too many requests; try again in ${retryAfter} seconds`, 429, 'rate-limited', { retryAfter });
+    }
+}
+
+// A browser request from a site not in the CORS allow-list
+class OriginNotAllowedError extends ApiError {
+    constructor(origin) {
+        super(`Requests from ${origin} are not allowed`, 403, 'origin-not-allowed');
+    }
+}
+
+/**
+ * Express error middleware; register after all routes. StoreErrors keep
+ * their status and get the code that status implies; unreadable JSON bodies
+ * are invalid input.
+ */
+const storeErrorCodes = { 400: 'invalid-input', 401: 'unauthorized', 404: 'not-found', 409: 'conflict' };
+
+function toApiError(error) {
+    if (error instanceof ApiError) return error;
+    if (error && error.name === 'StoreError') {
+        return new ApiError(error.message, error.status, storeErrorCodes[error.status] || 'store-error');
+    }
+    if (error && error.type === 'entity.parse.failed') {
+        return new InvalidInputError('The request body is not valid JSON');
+    }
+    return null;
+}
+
+function sendError(res, error) {
+    const apiError = toApiError(error);
+    if (!apiError) {
+        console.error('Unhandled API error:', error);
+        return res.status(500).json({ error: 'Internal server error', code: 'internal-error' });
+    }
+    if (apiError.status >= 500) {
+        console.error(`${apiError.code}:`, apiError.message);
+    }
+    res.status(apiError.status).json({ error: apiError.message, code: apiError.code, ...apiError.details });
+}
+
+function errorHandler(error, req, res, next) {
+    if (res.headersSent) return next(error);
+    sendError(res, error);
+}
+
+module.exports = {
+    ApiError,
+    InvalidInputError,
+    NotFoundError,
+    UnauthorizedError,
+    WritesDisabledError,
+    AddressNotFoundError,
+    NoElectionError,
+    UpstreamQuotaError,
+    UpstreamUnavailableError,
+    RateLimitedError,
+    OriginNotAllowedError,
+    sendError,
+    errorHandler
+};
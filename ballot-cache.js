@@ -0,0 +1,185 @@
+/**
+ * Ballot Cache
+ * Science Alignment Scorecard - cached ballot lookups keyed by normalised address
+ *
+ * Node.js only. A ballot rarely changes between the day candidates file and
+ * election day, so answers from the ballot provider are kept for a few hours
+ * under a normalised form of the address ("123 Main Street, Seattle WA" and
+ * "123 main st seattle wa" share an entry). Identical lookups that arrive
+ * while one is in flight wait for it instead of calling the provider again.
+ * With a file path, entries survive restarts; the file is written the same
+ * way as the statement store, through a queue and a temporary file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class BallotCache {
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;       // Optional persistence file
+
+        this.parameters = {
+            ttlHours: options.ttlHours ?? 6,            // How long an answer is reused; 0 turns caching off
+            maxEntries: options.maxEntries || 5000      // Oldest entries are dropped beyond this
+        };
+
+        this.abbreviations = {
+            street: 'st', avenue: 'ave', boulevard: 'blvd', road: 'rd', drive: 'dr', lane: 'ln', court: 'ct',
+            place: 'pl', terrace: 'ter', parkway: 'pkwy', highway: 'hwy', circle: 'cir', square: 'sq',
+            north: 'n', south: 's', east: 'e', west: 'w',
+            northeast: 'ne', northwest: 'nw', southeast: 'se', southwest: 'sw',
+            apartment: 'apt', suite: 'ste', unit: 'unit'
+        };
+
+        this.entries = new Map();       // key → { value, storedAt }
+        this.pending = new Map();       // key → promise of an in-flight lookup
+        this.writeQueue = Promise.resolve();
+
+        this.stats = { hits: 0, misses: 0, coalesced: 0, upstreamErrors: 0 };
+        this.upstream = { day: this.today(), today: 0, total: 0 };
+    }
+
+    /**
+     * 1. LOOKUPS
+     * Cached value for the address and election, or the result of loader(),
+     * which is called at most once at a time per key.
+     */
+    async get(address, electionId, loader) {
+        const key = this.key(address, electionId);
+        const entry = this.entries.get(key);
+
+        if (entry && !this.isExpired(entry)) {
+            this.stats.hits++;
+            return entry.value;
+        }
+        if (this.pending.has(key)) {
+            this.stats.coalesced++;
+            return this.pending.get(key);
+        }
+
+        this.stats.misses++;
+        this.countUpstream();
+        const lookup = Promise.resolve()
+            .then(loader)
+            .then(value => {
+                this.set(key, value);
+                return value;
+            }, error => {
+                this.stats.upstreamErrors++;
+                throw error;
+            })
+            .finally(() => {
+                this.pending.delete(key);
+            });
+
+        this.pending.set(key, lookup);
+        return lookup;
+    }
+
+    set(key, value) {
+        if (this.parameters.ttlHours <= 0) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, { value, storedAt: Date.now() });
+        this.prune();
+        this.save();
+    }
+
+    isExpired(entry) {
+        return Date.now() - entry.storedAt > this.parameters.ttlHours * 3600 * 1000;
+    }
+
+    // Drops expired entries, then the oldest while over maxEntries (a Map keeps insertion order)
+    prune() {
+        this.entries.forEach((entry, key) => {
+            if (this.isExpired(entry)) this.entries.delete(key);
+        });
+        while (this.entries.size > this.parameters.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * 2. ADDRESSES
+     * Lower case, punctuation and extra spaces removed, common street words
+     * abbreviated and ZIP+4 codes cut to five digits.
+     */
+    normalizeAddress(address) {
+        return (address || '')
+            .toLowerCase()
+            .replace(/\b(\d{5})-\d{4}\b/g, '$1')
+            .replace(/[.,#]/g, ' ')
+            .split(/\s+/)
+            .filter(Boolean)
+            .map(word => this.abbreviations[word] || word)
+            .join(' ');
+    }
+
+    key(address, electionId) {
+        return `${electionId || 'auto'}|${this.normalizeAddress(address)}`;
+    }
+
+    /**
+     * 3. PERSISTENCE
+     */
+    async load() {
+        if (!this.filePath) return this;
+
+        try {
+            const saved = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            Object.entries(saved.entries || {}).forEach(([key, entry]) => this.entries.set(key, entry));
+            this.prune();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    save() {
+        if (!this.filePath) return this.writeQueue;
+        const snapshot = JSON.stringify({ savedAt: new Date().toISOString(), entries: Object.fromEntries(this.entries) });
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, this.filePath);
+        }).catch(error => {
+            console.error('Could not save the ballot cache:', error.message);
+        });
+        return this.writeQueue;
+    }
+
+    /**
+     * 4. STATS
+     * upstream counts calls to the ballot provider, which are what use up
+     * the API quota; today resets at midnight UTC.
+     */
+    countUpstream() {
+        if (this.upstream.day !== this.today()) {
+            this.upstream.day = this.today();
+            this.upstream.today = 0;
+        }
+        this.upstream.today++;
+        this.upstream.total++;
+    }
+
+    summary() {
+        const lookups = this.stats.hits + this.stats.misses + this.stats.coalesced;
+        return {
+            entries: this.entries.size,
+            inFlight: this.pending.size,
+            ...this.stats,
+            hitRate: lookups > 0 ? Math.round((this.stats.hits + this.stats.coalesced) / lookups * 100) / 100 : null,
+            upstreamRequests: { ...this.upstream },
+            ttlHours: this.parameters.ttlHours,
+            persisted: this.filePath !== null
+        };
+    }
+
+    today() {
+        return new Date().toISOString().slice(0, 10);
+    }
+}
+
+module.exports = BallotCache;
@@ -0,0 +1,172 @@
+/**
+ * Ballot Matcher
+ * Science Alignment Scorecard - links ballot candidates to scored entities
+ *
+ * Ballot data (e.g. the Google Civic API) names candidates and offices in
+ * its own way: "U.S. Senator" for our "U.S. Senate", "Robert Smith" for our
+ * "Rep. Bob Smith". Names are compared by last name first, then first name,
+ * nickname or initial; offices by their words after synonyms are folded
+ * together. Only candidates and officials in the ballot's state are matched.
+ */
+
+class BallotMatcher {
+    constructor(entityModel) {
+        this.entityModel = entityModel;
+
+        this.thresholds = {
+            minNameScore: 0.8,      // Name must be at least an initial-plus-last-name match
+            minConfidence: 0.75     // Weighted name and office score needed to accept a match
+        };
+
+        this.weights = { name: 0.75, office: 0.25 };
+
+        this.honorifics = ['dr', 'rep', 'sen', 'senator', 'representative', 'gov', 'governor', 'mayor', 'hon', 'judge', 'mr', 'mrs', 'ms', 'mx'];
+        this.suffixes = ['jr', 'sr', 'ii', 'iii', 'iv', 'phd', 'md', 'esq'];
+
+        this.nicknames = {
+            bob: 'robert', rob: 'robert', bobby: 'robert', bill: 'william', will: 'william', billy: 'william',
+            mike: 'michael', jim: 'james', jimmy: 'james', tom: 'thomas', dick: 'richard', rick: 'richard',
+            dan: 'daniel', danny: 'daniel', dave: 'david', joe: 'joseph', chris: 'christopher', matt: 'matthew',
+            tony: 'anthony', steve: 'steven', liz: 'elizabeth', beth: 'elizabeth', kate: 'katherine', katie: 'katherine',
+            sue: 'susan', patty: 'patricia', pat: 'patricia', jen: 'jennifer', andy: 'andrew', ted: 'edward', ed: 'edward'
+        };
+
+        // Office words that mean the same thing, folded to one form
+        this.officeSynonyms = {
+            senator: 'senate', representative: 'house', representatives: 'house', congressional: 'house',
+            congressman: 'house', congresswoman: 'house', councilmember: 'council', councilor: 'council',
+            commissioner: 'commission', governor: 'governor', gubernatorial: 'governor'
+        };
+        this.officeStopWords = ['of', 'the', 'for', 'member', 'position', 'seat', 'district', 'no'];
+    }
+
+    /**
+     * 1. NAMES
+     * Returns 1 for the same first and last name, 0.9 for a nickname or
+     * shortened first name, 0.8 for a first initial, 0.5 for the last name
+     * alone and 0 when the last names differ.
+     */
+    nameScore(a, b) {
+        const first = this.nameParts(a);
+        const second = this.nameParts(b);
+        if (!first.last || !second.last || !this.sameWord(first.last, second.last)) return 0;
+        if (!first.first || !second.first) return 0.5;
+
+        if (first.first === second.first) return 1;
+        if (this.formalName(first.first) === this.formalName(second.first)) return 0.9;
+
+        const [shorter, longer] = [first.first, second.first].sort((x, y) => x.length - y.length);
+        if (shorter.length >= 3 && longer.startsWith(shorter)) return 0.9;
+        if (shorter.length === 1 && longer.startsWith(shorter)) return 0.8;
+        return 0.5;
+    }
+
+    nameParts(name) {
+        const words = (name || '')
+            .toLowerCase()
+            .replace(/["“”(].*?["“”)]/g, ' ')       // Quoted or bracketed nicknames
+            .replace(/[^a-z\s'-]/g, ' ')
+            .split(/\s+/)
+            .map(word => word.replace(/^['-]+|['-]+$/g, ''))
+            .filter(Boolean);
+
+        while (words.length > 1 && this.honorifics.includes(words[0])) words.shift();
+        while (words.length > 1 && this.suffixes.includes(words[words.length - 1])) words.pop();
+
+        return { first: words.length > 1 ? words[0] : null, last: words[words.length - 1] || null };
+    }
+
+    formalName(first) {
+        return this.nicknames[first] || first;
+    }
+
+    // Tolerates one typo in longer last names ("Balduci" for "Balducci")
+    sameWord(a, b) {
+        if (a === b) return true;
+        if (Math.min(a.length, b.length) < 6 || Math.abs(a.length - b.length) > 1) return false;
+        return this.editDistance(a, b) <= 1;
+    }
+
+    editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (value, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1), previous[j] + 1, current[j - 1] + 1);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    /**
+     * 2. OFFICES
+     * Share of the shorter office's words found in the other, so "Mayor" and
+     * "Mayor of Seattle" match fully.
+     */
+    officeScore(a, b) {
+        const first = this.officeWords(a);
+        const second = this.officeWords(b);
+        if (first.length === 0 || second.length === 0) return 0;
+
+        const shared = first.filter(word => second.includes(word)).length;
+        return shared / Math.min(first.length, second.length);
+    }
+
+    officeWords(office) {
+        const words = (office || '')
+            .toLowerCase()
+            .replace(/\bu\.?\s?s\.?(?=\s|$)|\bunited states\b/g, ' us ')
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .split(/\s+/)
+            .filter(word => word && !/^\d+$/.test(word) && !this.officeStopWords.includes(word))
+            .map(word => this.officeSynonyms[word] || word);
+
+        return [...new Set(words)];
+    }
+
+    /**
+     * 3. MATCHING
+     * Best entity for one ballot candidate, or null. state is the ballot's
+     * two-letter state; entities in other states are never matched.
+     */
+    match(candidate, office, entities, state = null) {
+        let best = null;
+
+        entities.forEach(entity => {
+            if (!this.entityModel.isElectoral(entity)) return;
+            if (state && entity.state && entity.state !== state) return;
+
+            const nameScore = this.nameScore(candidate.name, entity.name);
+            if (nameScore < this.thresholds.minNameScore) return;
+
+            const officeScore = this.officeScore(office, entity.office);
+            const confidence = this.weights.name * nameScore + this.weights.office * officeScore;
+            if (confidence >= this.thresholds.minConfidence && (!best || confidence > best.confidence)) {
+                best = { entityId: entity.id, confidence: Math.round(confidence * 100) / 100, nameScore, officeScore };
+            }
+        });
+
+        return best;
+    }
+
+    // Contests in the /api/ballot-lookup format, each candidate given a match (or null)
+    matchContests(contests, entities, state = null) {
+        return (contests || []).map(contest => ({
+            ...contest,
+            candidates: (contest.candidates || []).map(candidate => ({
+                ...candidate,
+                match: this.match(candidate, contest.office, entities, state)
+            }))
+        }));
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BallotMatcher;
+}
+
+if (typeof window !== 'undefined') {
+    window.BallotMatcher = BallotMatcher;
+}
@@ -0,0 +1,353 @@
+/**
+ * Ballot Providers
+ * Science Alignment Scorecard - where /api/ballot-lookup gets its ballots
+ *
+ * Node.js only. Every provider answers in the format of the Google Civic
+ * voterinfo and elections responses, so the lookup route, the election
+ * directory and the page treat them alike:
+ *
+ *   civic   - the Google Civic Information API (needs GOOGLE_CIVIC_API_KEY)
+ *   fixture - ballots from a JSON file, for working offline and in tests
+ *   csv     - candidate lists published by counties, one candidate per row
+ *
+ * The provider is chosen with BALLOT_PROVIDER; see BallotProvider.fromEnv.
+ * Failures are reported with the errors of api-errors.js: an address that
+ * cannot be placed, no election for it, or the provider being out of quota
+ * or unavailable.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const fetch = require('node-fetch');
+const {
+    AddressNotFoundError,
+    NoElectionError,
+    UpstreamQuotaError,
+    UpstreamUnavailableError
+} = require('./api-errors');
+
+class BallotProvider {
+    constructor() {
+        this.name = 'base';
+
+        this.states = {
+            alabama: 'AL', alaska: 'AK', arizona: 'AZ', arkansas: 'AR', california: 'CA', colorado: 'CO',
+            connecticut: 'CT', delaware: 'DE', 'district of columbia': 'DC', florida: 'FL', georgia: 'GA',
+            hawaii: 'HI', idaho: 'ID', illinois: 'IL', indiana: 'IN', iowa: 'IA', kansas: 'KS', kentucky: 'KY',
+            louisiana: 'LA', maine: 'ME', maryland: 'MD', massachusetts: 'MA', michigan: 'MI', minnesota: 'MN',
+            mississippi: 'MS', missouri: 'MO', montana: 'MT', nebraska: 'NE', nevada: 'NV', 'new hampshire': 'NH',
+            'new jersey': 'NJ', 'new mexico': 'NM', 'new york': 'NY', 'north carolina': 'NC', 'north dakota': 'ND',
+            ohio: 'OH', oklahoma: 'OK', oregon: 'OR', pennsylvania: 'PA', 'rhode island': 'RI',
+            'south carolina': 'SC', 'south dakota': 'SD', tennessee: 'TN', texas: 'TX', utah: 'UT', vermont: 'VT',
+            virginia: 'VA', washington: 'WA', 'west virginia': 'WV', wisconsin: 'WI', wyoming: 'WY'
+        };
+    }
+
+    /**
+     * 1. INTERFACE
+     * Subclasses implement elections() and voterInfo(); both return the
+     * Civic response bodies ({ elections: [...] } and the voterinfo object).
+     * voterInfo gets a null electionId when the caller has no election in mind.
+     */
+    async elections() {
+        throw new Error(`The ${this.name} ballot provider does not list elections`);
+    }
+
+    async voterInfo(address, electionId) {
+        throw new Error(`The ${this.name} ballot provider does not look up ballots`);
+    }
+
+    // Ballot for an address in the /api/ballot-lookup response format
+    async lookup(address, electionId = null) {
+        const data = await this.voterInfo(address, electionId);
+
+        return {
+            normalizedAddress: data.normalizedInput?.line1 || address,
+            election: data.election || null,
+            pollingLocations: data.pollingLocations || [],
+            contests: (data.contests || []).map(contest => ({
+                office: contest.office,
+                district: contest.district?.name || '',
+                candidates: (contest.candidates || []).map(candidate => ({
+                    name: candidate.name,
+                    party: candidate.party || '',
+                    candidateUrl: candidate.candidateUrl || '',
+                    channels: candidate.channels || []
+                }))
+            })),
+            provider: this.name
+        };
+    }
+
+    /**
+     * 2. ADDRESSES
+     * Two-letter state and ZIP code of a free-text address, from
+     * "..., WA 98101" or "..., Washington"; null when not found.
+     */
+    addressParts(address) {
+        const text = (address || '').trim();
+        const zip = /(\d{5})(?:-\d{4})?\s*$/.exec(text);
+        let state = null;
+
+        const code = /(?:^|[\s,])([A-Za-z]{2})\.?(?:\s+\d{5}(?:-\d{4})?)?\s*$/.exec(text);
+        if (code && Object.values(this.states).includes(code[1].toUpperCase())) {
+            state = code[1].toUpperCase();
+        } else {
+            const lower = text.toLowerCase().replace(/\s+\d{5}(-\d{4})?\s*$/, '');
+            const name = Object.keys(this.states)
+                .sort((a, b) => b.length - a.length)
+                .find(stateName => lower.endsWith(stateName));
+            state = name ? this.states[name] : null;
+        }
+
+        return { state, zip: zip ? zip[1] : null };
+    }
+
+    // Reads the provider selected by BALLOT_PROVIDER (default civic) and its settings
+    static fromEnv(env = process.env) {
+        const name = (env.BALLOT_PROVIDER || 'civic').toLowerCase();
+
+        if (name === 'civic') {
+            return new GoogleCivicProvider({ apiKey: env.GOOGLE_CIVIC_API_KEY });
+        }
+        if (name === 'fixture') {
+            return new FixtureProvider({ file: env.BALLOT_FIXTURE_FILE || path.join(__dirname, 'ballot-fixtures.json') });
+        }
+        if (name === 'csv') {
+            if (!env.BALLOT_CSV_FILE) {
+                throw new Error('BALLOT_PROVIDER=csv needs BALLOT_CSV_FILE');
+            }
+            return new CsvProvider({ file: env.BALLOT_CSV_FILE });
+        }
+        throw new Error(`Unknown BALLOT_PROVIDER "${name}"; expected civic, fixture or csv`);
+    }
+}
+
+/**
+ * Google Civic Information API
+ */
+class GoogleCivicProvider extends BallotProvider {
+    constructor(options = {}) {
+        super();
+        this.name = 'civic';
+        this.apiKey = options.apiKey;
+        this.fetch = options.fetch || fetch;
+        this.baseUrl = options.baseUrl || 'https://www.googleapis.com/civicinfo/v2';
+        this.timeoutMs = options.timeoutMs || 10000;
+    }
+
+    async elections() {
+        return this.get(`${this.baseUrl}/elections?key=${this.apiKey}`);
+    }
+
+    async voterInfo(address, electionId) {
+        return this.get(
+            `${this.baseUrl}/voterinfo?` +
+            `key=${this.apiKey}&` +
+            `address=${encodeURIComponent(address)}&` +
+            (electionId ? `electionId=${encodeURIComponent(electionId)}&` : '') +
+            `returnAllAvailableData=true`
+        );
+    }
+
+    async get(url) {
+        // node-fetch puts the url, and with it the API key, in network error messages
+        const response = await this.fetch(url, { timeout: this.timeoutMs }).catch(error => {
+            throw new UpstreamUnavailableError(`The Google Civic API could not be reached (${error.code || error.type || 'network error'})`);
+        });
+        if (response.ok) {
+            return response.json();
+        }
+
+        const body = await response.json().catch(() => ({}));
+        throw this.toError(response.status, body.error || {});
+    }
+
+    /**
+     * Civic error bodies look like { error: { code, message, errors: [{ reason }] } }.
+     * Address problems come back as 400 parseError, elections it does not
+     * know as 400/404 "Election unknown" or notFound.
+     */
+    toError(status, civicError) {
+        const reasons = (civicError.errors || []).map(entry => entry.reason);
+        const message = civicError.message || '';
+
+        if (status === 429 || reasons.some(reason => /rateLimitExceeded|quotaExceeded|dailyLimitExceeded/.test(reason))) {
+            return new UpstreamQuotaError();
+        }
+        if (reasons.includes('parseError') || /parse address|address.*not found/i.test(message)) {
+            return new AddressNotFoundError();
+        }
+        if ((status === 400 || status === 404) && (reasons.includes('notFound') || /election/i.test(message))) {
+            return new NoElectionError();
+        }
+        // Bad or missing API key, or Google failing: nothing the visitor can change
+        console.error(`Google Civic API error ${status}: ${message || 'no message'} (${reasons.join(', ') || 'no reason'})`);
+        return new UpstreamUnavailableError();
+    }
+}
+
+/**
+ * Ballots from a JSON file: { elections: [...], ballots: [{ state, zips,
+ * electionId, voterInfo }] }, where voterInfo is a Civic voterinfo body
+ * without normalizedInput. A ballot without zips covers its whole state.
+ */
+class FixtureProvider extends BallotProvider {
+    constructor(options = {}) {
+        super();
+        this.name = 'fixture';
+        this.file = options.file;
+        this.data = options.data || null;
+    }
+
+    load() {
+        if (!this.data) {
+            this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        }
+        return this.data;
+    }
+
+    async elections() {
+        return { elections: this.load().elections || [] };
+    }
+
+    async voterInfo(address, electionId) {
+        const { state, zip } = this.addressParts(address);
+        const ballots = (this.load().ballots || []).filter(ballot => ballot.state === state
+            && (!ballot.zips || ballot.zips.length === 0 || ballot.zips.includes(zip))
+            && (!electionId || String(ballot.electionId) === String(electionId)));
+
+        // Like Civic without an electionId: the latest ballot on file, preferring one drawn for the ZIP code
+        ballots.sort((a, b) => (b.zips ? 1 : 0) - (a.zips ? 1 : 0)
+            || (b.voterInfo.election?.electionDay || '').localeCompare(a.voterInfo.election?.electionDay || ''));
+
+        if (!state) {
+            throw new AddressNotFoundError('The address needs a state, e.g. "123 Main St, Seattle, WA 98101"');
+        }
+        if (ballots.length === 0) {
+            throw new NoElectionError();
+        }
+
+        return { normalizedInput: { line1: address, state, zip }, ...ballots[0].voterInfo };
+    }
+}
+
+/**
+ * Candidate lists as published by counties, one candidate per row. Columns
+ * (header names, any order): election_id, election_name, election_day,
+ * state, zip, office, district, name, party, candidate_url. zip may be left
+ * blank for contests on every ballot in the state.
+ */
+class CsvProvider extends FixtureProvider {
+    constructor(options = {}) {
+        super(options);
+        this.name = 'csv';
+        this.required = ['election_id', 'election_day', 'state', 'office', 'name'];
+    }
+
+    load() {
+        if (!this.data) {
+            this.data = this.toFixture(this.parseCsv(fs.readFileSync(this.file, 'utf8')));
+        }
+        return this.data;
+    }
+
+    // Groups rows into one ballot per election, state and ZIP code
+    toFixture(rows) {
+        const missing = this.required.filter(column => rows.length > 0 && !(column in rows[0]));
+        if (missing.length > 0) {
+            throw new Error(`${this.file} is missing the columns: ${missing.join(', ')}`);
+        }
+
+        const elections = new Map();
+        const ballots = new Map();
+
+        rows.forEach(row => {
+            const state = row.state.toUpperCase();
+            const election = {
+                id: row.election_id,
+                name: row.election_name || `${state} election`,
+                electionDay: row.election_day,
+                ocdDivisionId: `ocd-division/country:us/state:${state.toLowerCase()}`
+            };
+            elections.set(election.id, election);
+
+            const key = `${election.id}|${state}|${row.zip || ''}`;
+            if (!ballots.has(key)) {
+                ballots.set(key, {
+                    state,
+                    zips: row.zip ? [row.zip] : null,
+                    electionId: election.id,
+                    voterInfo: { election, contests: [] }
+                });
+            }
+
+            const contests = ballots.get(key).voterInfo.contests;
+            let contest = contests.find(entry => entry.office === row.office && (entry.district?.name || '') === (row.district || ''));
+            if (!contest) {
+                contest = { office: row.office, district: row.district ? { name: row.district } : null, candidates: [] };
+                contests.push(contest);
+            }
+            contest.candidates.push({ name: row.name, party: row.party || '', candidateUrl: row.candidate_url || '' });
+        });
+
+        // Statewide contests also appear on every ZIP code's ballot for the same election
+        const all = Array.from(ballots.values());
+        all.filter(ballot => ballot.zips).forEach(ballot => {
+            const statewide = all.find(other => !other.zips && other.state === ballot.state && other.electionId === ballot.electionId);
+            if (statewide) ballot.voterInfo.contests = [...statewide.voterInfo.contests, ...ballot.voterInfo.contests];
+        });
+
+        return { elections: Array.from(elections.values()), ballots: all };
+    }
+
+    // RFC 4180 CSV: quoted fields may hold commas, newlines and doubled quotes
+    parseCsv(text) {
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const [header, ...rows] = records.filter(fields => fields.some(value => value.trim()));
+        if (!header) return [];
+
+        const columns = header.map(column => column.trim().toLowerCase());
+        return rows.map(fields => Object.fromEntries(columns.map((column, index) => [column, (fields[index] || '').trim()])));
+    }
+}
+
+module.exports = BallotProvider;
+module.exports.GoogleCivicProvider = GoogleCivicProvider;
+module.exports.FixtureProvider = FixtureProvider;
+module.exports.CsvProvider = CsvProvider;
@@ -0,0 +1,162 @@
+/**
+ * Bayesian Alignment Model
+ * Science Alignment Scorecard - posterior alignment with credible intervals
+ *
+ * Each statement's alignment (0-100, see AlignmentScoring.statementAlignment)
+ * is treated as a noisy observation of the figure's true alignment on a topic.
+ * With a normal prior and known observation noise the posterior is normal,
+ * truncated to the 0-100 scale. With only 1-3 statements per topic the
+ * interval stays wide, which is the point: a single number overstates our
+ * certainty.
+ */
+
+class BayesianAlignment {
+    constructor(options = {}) {
+        this.prior = {
+            mean: 50,               // Neutral prior: no assumption about the figure
+            sd: 25                  // Weakly informative across the 0-100 scale
+        };
+        this.observationSd = 15;    // Scoring noise plus within-person variation per statement
+        this.credibleLevel = options.credibleLevel || 0.9;
+        this.bounds = { lower: 0, upper: 100 };
+    }
+
+    /**
+     * 1. TOPIC POSTERIOR
+     * alignments - statement alignment values (0-100)
+     * weights    - optional per-statement weights; a weight of 1 is one full
+     *              observation, so weights scale the data precision
+     */
+    posterior(alignments, weights = null) {
+        const effectiveCount = weights
+            ? weights.reduce((sum, weight) => sum + weight, 0)
+            : alignments.length;
+
+        const priorPrecision = 1 / Math.pow(this.prior.sd, 2);
+        const dataPrecision = effectiveCount / Math.pow(this.observationSd, 2);
+        const weightedSum = alignments.reduce((sum, value, i) => sum + value * (weights ? weights[i] : 1), 0);
+
+        const precision = priorPrecision + dataPrecision;
+        const location = (priorPrecision * this.prior.mean + weightedSum / Math.pow(this.observationSd, 2)) / precision;
+        const scale = 1 / Math.sqrt(precision);
+
+        return this.summarizeTruncated(location, scale, effectiveCount);
+    }
+
+    /**
+     * 2. ROLL-UP
+     * Combines independent topic posteriors into a posterior for the
+     * (optionally weighted) mean alignment using a normal approximation.
+     */
+    rollUp(posteriors, topicWeights = null) {
+        if (posteriors.length === 0) return null;
+
+        const weights = topicWeights || posteriors.map(() => 1);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight === 0) return null;
+
+        const mean = posteriors.reduce((sum, p, i) => sum + p.mean * weights[i], 0) / totalWeight;
+        const variance = posteriors.reduce((sum, p, i) => sum + Math.pow(p.sd * weights[i], 2), 0) / Math.pow(totalWeight, 2);
+        const sd = Math.sqrt(variance);
+        const z = this.normalQuantile(0.5 + this.credibleLevel / 2);
+
+        return {
+            mean,
+            sd,
+            lower: Math.max(this.bounds.lower, mean - z * sd),
+            upper: Math.min(this.bounds.upper, mean + z * sd),
+            level: this.credibleLevel
+        };
+    }
+
+    /**
+     * Mean, sd and equal-tailed credible interval of a normal(location, scale)
+     * truncated to the alignment bounds.
+     */
+    summarizeTruncated(location, scale, effectiveCount) {
+        const alpha = (this.bounds.lower - location) / scale;
+        const beta = (this.bounds.upper - location) / scale;
+        const cdfAlpha = this.normalCdf(alpha);
+        const mass = this.normalCdf(beta) - cdfAlpha;
+        const pdfAlpha = this.normalPdf(alpha);
+        const pdfBeta = this.normalPdf(beta);
+
+        const meanShift = (pdfAlpha - pdfBeta) / mass;
+        const mean = location + scale * meanShift;
+        const variance = Math.pow(scale, 2) * (1 + (alpha * pdfAlpha - beta * pdfBeta) / mass - Math.pow(meanShift, 2));
+        const tail = (1 - this.credibleLevel) / 2;
+        const quantile = p => location + scale * this.normalQuantile(cdfAlpha + p * mass);
+
+        return {
+            mean,
+            sd: Math.sqrt(Math.max(variance, 0)),
+            lower: Math.max(this.bounds.lower, quantile(tail)),
+            upper: Math.min(this.bounds.upper, quantile(1 - tail)),
+            level: this.credibleLevel,
+            effectiveCount
+        };
+    }
+
+    /**
+     * 3. DIFFERENCES
+     * Posterior of a - b for two independent posteriors (topic or rolled
+     * up), normal approximation. Not bounded: differences run from -100 to 100.
+     */
+    difference(a, b) {
+        const mean = a.mean - b.mean;
+        const sd = Math.sqrt(Math.pow(a.sd, 2) + Math.pow(b.sd, 2));
+        const z = this.normalQuantile(0.5 + this.credibleLevel / 2);
+
+        return { mean, sd, lower: mean - z * sd, upper: mean + z * sd, level: this.credibleLevel };
+    }
+
+    // Distribution helpers
+    normalPdf(x) {
+        return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+    }
+
+    normalCdf(x) {
+        // Abramowitz & Stegun 7.1.26 approximation of erf
+        const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+        const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+        const erf = 1 - poly * Math.exp(-x * x / 2);
+        return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+    }
+
+    normalQuantile(p) {
+        // Acklam's rational approximation of the inverse normal CDF
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BayesianAlignment;
+}
+
+if (typeof window !== 'undefined') {
+    window.BayesianAlignment = BayesianAlignment;
+}
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BayesianAlignment = require('./bayesian-alignment');
+
+const model = new BayesianAlignment();
+
+test('an empty topic gets the prior, with a wide interval and no effective statements', () => {
+    const posterior = model.posterior([]);
+
+    assert.ok(Math.abs(posterior.mean - model.prior.mean) < 1e-6);
+    assert.equal(posterior.effectiveCount, 0);
+    assert.ok(posterior.upper - posterior.lower > 60);
+});
+
+test('statements with zero weight leave the prior unchanged', () => {
+    const prior = model.posterior([]);
+    const posterior = model.posterior([100, 100], [0, 0]);
+
+    assert.equal(posterior.effectiveCount, 0);
+    assert.ok(Math.abs(posterior.mean - prior.mean) < 1e-6);
+    assert.ok(Math.abs(posterior.upper - prior.upper) < 1e-6);
+});
+
+test('more statements narrow the credible interval around their mean', () => {
+    const one = model.posterior([80]);
+    const five = model.posterior([80, 80, 80, 80, 80]);
+
+    assert.ok(five.upper - five.lower < one.upper - one.lower);
+    assert.ok(Math.abs(five.mean - 80) < Math.abs(one.mean - 80));
+    assert.ok(one.lower <= one.mean && one.mean <= one.upper);
+});
+
+test('the posterior stays within the 0-100 scale at its edges', () => {
+    [[0, 0, 0], [100, 100, 100]].forEach(alignments => {
+        const posterior = model.posterior(alignments);
+        assert.ok(posterior.lower >= 0 && posterior.upper <= 100);
+        assert.ok(posterior.mean > 0 && posterior.mean < 100);
+    });
+});
+
+test('weights scale the evidence: weight 0.5 on two statements equals one full statement', () => {
+    const halves = model.posterior([90, 90], [0.5, 0.5]);
+    const single = model.posterior([90]);
+
+    assert.equal(halves.effectiveCount, 1);
+    assert.ok(Math.abs(halves.mean - single.mean) < 1e-9);
+    assert.ok(Math.abs(halves.sd - single.sd) < 1e-9);
+});
+
+test('roll-up of no topics, or of topics with zero weight, has no posterior', () => {
+    assert.equal(model.rollUp([]), null);
+    assert.equal(model.rollUp([model.posterior([70])], [0]), null);
+});
+
+test('roll-up is the weighted mean of the topic means', () => {
+    const a = model.posterior([90, 90, 90]);
+    const b = model.posterior([30, 30, 30]);
+    const overall = model.rollUp([a, b], [3, 1]);
+
+    assert.ok(Math.abs(overall.mean - (3 * a.mean + b.mean) / 4) < 1e-9);
+    assert.ok(overall.lower < overall.mean && overall.mean < overall.upper);
+});
+
+test('differences are antisymmetric and their interval is centred on the mean', () => {
+    const a = model.posterior([90, 85]);
+    const b = model.posterior([40]);
+    const ab = model.difference(a, b);
+    const ba = model.difference(b, a);
+
+    assert.ok(Math.abs(ab.mean + ba.mean) < 1e-9);
+    assert.equal(ab.sd, ba.sd);
+    assert.ok(Math.abs((ab.lower + ab.upper) / 2 - ab.mean) < 1e-9);
+});
@@ -37,7 +37,7 @@ class BiasDetectionIntegration {
             return {
                 success: true,
                 message: 'Bias detection system ready',
-                candidatesLoaded: Object.keys(candidateData.candidates).length,
+                candidatesLoaded: Object.keys(candidateData.entities || candidateData.candidates).length,
                 topicsLoaded: Object.keys(consensusData).length
             };
         } catch (error) {
@@ -64,7 +64,7 @@ class BiasDetectionIntegration {
         
         // Load current data
         const candidateData = await this.loadCandidateData();
-        const candidates = Object.values(candidateData.candidates);
+        const candidates = Object.values(candidateData.entities || candidateData.candidates);
         const statements = this.extractAllStatements(candidates);
 
         // Create mock scoring function (in real implementation, use actual scoring)
@@ -198,6 +198,7 @@ class BiasDetectionIntegration {
                                 ...statement,
                                 candidate: candidate.name,
                                 party: candidate.party,
+                                entityType: candidate.entityType || 'candidate',
                                 topic: topic,
                                 position: statement.position
                             });
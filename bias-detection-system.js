@@ -209,7 +209,7 @@ class BiasDetectionSystem {
             
             testResult.tests[candidate.name] = {
                 score: await scoringFunction(candidateStatement),
-                variation: `Real candidate: ${candidate.name} (${candidate.party})`,
+                variation: `Real candidate: ${candidate.name}${candidate.party ? ` (${candidate.party})` : ''}`,
                 party: candidate.party
             };
         }
@@ -0,0 +1,164 @@
+/**
+ * Comparison Groups
+ * Science Alignment Scorecard - sets of entities compared side by side
+ *
+ * The head-to-head selector offers three kinds of group:
+ * - dataset:  elections listed in a data file's metadata.elections, keyed
+ *             like "2024_AZ_Senate". A value is either a description naming
+ *             the candidates ("Ruben Gallego (D) vs Kari Lake (R)"), whose
+ *             names are matched to entities, or { name, entities: [ids] }.
+ * - election: entities sharing a state and office (ScorecardBuilder.elections).
+ * - custom:   sets users save themselves, such as "WA delegation" or
+ *             "energy companies", stored as { key, name, entityIds }.
+ * Resolved groups have the shape of ScorecardBuilder elections, so the
+ * comparison table and the head-to-head take any of them.
+ */
+
+class ComparisonGroups {
+    constructor(options = {}) {
+        this.builder = options.builder;     // ScorecardBuilder, for state-and-office elections
+        this.matcher = options.matcher;     // BallotMatcher, to find dataset election candidates by name
+
+        this.limits = {
+            minMembers: 2,                  // A comparison needs two sides
+            maxNameLength: 80
+        };
+
+        this.kinds = {
+            dataset: { label: 'Elections in this dataset' },
+            election: { label: 'Elections by state and office' },
+            custom: { label: 'Your groups' }
+        };
+    }
+
+    /**
+     * 1. DATASET ELECTIONS
+     * Candidates named in a description are looked up by name (and by the
+     * state in the key, when it has one); names without a match are skipped.
+     */
+    fromMetadata(metadata, entities) {
+        const elections = (metadata && metadata.elections) || {};
+
+        return Object.keys(elections).map(key => {
+            const entry = elections[key];
+            const explicit = entry && typeof entry === 'object' && Array.isArray(entry.entities);
+
+            const candidates = explicit
+                ? entry.entities.map(id => entities.find(entity => entity.id === id)).filter(entity => entity)
+                : this.candidatesByName(String(entry || ''), entities, this.stateOf(key));
+
+            return {
+                key,
+                name: explicit && entry.name ? entry.name : `${key.replace(/_/g, ' ')}${explicit ? '' : `: ${entry}`}`,
+                kind: 'dataset',
+                candidates
+            };
+        });
+    }
+
+    // [{ dataset, metadata }] of several data files, each matched only against the entities imported from it
+    fromDatasets(datasets, entities) {
+        return datasets.flatMap(({ dataset, metadata }) =>
+            this.fromMetadata(metadata, entities.filter(entity => entity.dataset === dataset))
+        );
+    }
+
+    candidatesByName(description, entities, state = null) {
+        const names = description
+            .split(/\s+vs\.?\s+|\s*[,;]\s*/i)
+            .map(name => name.replace(/\([^)]*\)/g, '').trim())
+            .filter(name => name);
+
+        const candidates = [];
+        names.forEach(name => {
+            let best = null;
+            entities.forEach(entity => {
+                if (state && entity.state && entity.state !== state) return;
+                const score = this.matcher.nameScore(name, entity.name);
+                if (score >= this.matcher.thresholds.minNameScore && (!best || score > best.score)) {
+                    best = { entity, score };
+                }
+            });
+            if (best && !candidates.includes(best.entity)) candidates.push(best.entity);
+        });
+        return candidates;
+    }
+
+    // "2024_WA_7_House" → "WA"
+    stateOf(key) {
+        const token = key.split('_').find(part => /^[A-Z]{2}$/.test(part));
+        return token || null;
+    }
+
+    /**
+     * 2. CUSTOM GROUPS
+     * Returns the problems with a proposed group; an empty list means it can be saved.
+     */
+    validate({ name, entityIds }, entities) {
+        const errors = [];
+        const trimmed = (name || '').trim();
+        const members = this.knownIds(entityIds, entities);
+
+        if (!trimmed) errors.push('Give the group a name');
+        if (trimmed.length > this.limits.maxNameLength) errors.push(`Keep the name under ${this.limits.maxNameLength} characters`);
+        if (members.length < this.limits.minMembers) errors.push(`Pick at least ${this.limits.minMembers} public figures or organisations`);
+        return errors;
+    }
+
+    createGroup({ name, entityIds }, entities) {
+        const trimmed = name.trim();
+        const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 40);
+
+        return {
+            key: `custom_${slug}_${Date.now().toString(36)}`,
+            name: trimmed,
+            entityIds: this.knownIds(entityIds, entities),
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    knownIds(entityIds, entities) {
+        return (entityIds || []).filter((id, index, ids) =>
+            ids.indexOf(id) === index && entities.some(entity => entity.id === id)
+        );
+    }
+
+    /**
+     * 3. ALL GROUPS
+     * Dataset elections first, then state-and-office elections that do not
+     * repeat one of them, then custom groups. Custom groups saved against
+     * another data file keep only the members loaded now. Groups with fewer
+     * than two members are left out. metadata is the loaded data file's, or
+     * [{ dataset, metadata }] when entities of several files are loaded.
+     */
+    groups(entities, metadata, customGroups = []) {
+        const dataset = Array.isArray(metadata)
+            ? this.fromDatasets(metadata, entities)
+            : this.fromMetadata(metadata, entities);
+        const sameMembers = (a, b) => a.candidates.length === b.candidates.length &&
+            a.candidates.every(candidate => b.candidates.includes(candidate));
+
+        const elections = this.builder.elections(entities)
+            .map(election => ({ ...election, kind: 'election' }))
+            .filter(election => !dataset.some(group => sameMembers(group, election)));
+
+        const custom = customGroups.map(group => ({
+            key: group.key,
+            name: group.name,
+            kind: 'custom',
+            candidates: group.entityIds.map(id => entities.find(entity => entity.id === id)).filter(entity => entity)
+        }));
+
+        return [...dataset, ...elections, ...custom]
+            .filter(group => group.candidates.length >= this.limits.minMembers);
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ComparisonGroups;
+}
+
+if (typeof window !== 'undefined') {
+    window.ComparisonGroups = ComparisonGroups;
+}
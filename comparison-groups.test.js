@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BallotMatcher = require('./ballot-matcher');
+const ComparisonGroups = require('./comparison-groups');
+const EntityModel = require('./entity-model');
+const ScorecardBuilder = require('./scorecard-builder');
+const { DATA_FILES } = require('./import-json-data');
+
+const entityModel = new EntityModel();
+const groups = new ComparisonGroups({
+    builder: new ScorecardBuilder({ entityModel }),
+    matcher: new BallotMatcher(entityModel)
+});
+
+// Both data files loaded side by side, as the statement store holds them after npm run import-data
+const datasets = DATA_FILES.map(({ file, dataset }) => ({ dataset, data: require(`./${file}`) }));
+const entities = datasets.flatMap(({ dataset, data }) =>
+    Object.entries(entityModel.entitiesOf(data)).map(([id, record]) => entityModel.normalize({ ...record, dataset }, id))
+);
+const metadata = datasets.map(({ dataset, data }) => ({ dataset, metadata: data.metadata }));
+
+test('a real-dataset election resolves to the real candidates with the demo entities loaded too', () => {
+    const election = groups.groups(entities, metadata).find(group => group.key === '2024_AZ_Senate');
+
+    assert.equal(election.kind, 'dataset');
+    assert.deepEqual(election.candidates.map(entity => entity.id), ['ruben_gallego', 'kari_lake']);
+    assert.ok(election.candidates.every(entity => entity.dataset === 'real'));
+});
+
+test('each data file\'s elections are matched only against its own entities', () => {
+    const dataset = groups.fromDatasets(metadata, entities);
+
+    assert.ok(dataset.length > 0);
+    dataset.forEach(group => {
+        assert.ok(group.candidates.every(entity => entity.dataset === 'real'), group.key);
+    });
+});
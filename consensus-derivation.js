@@ -0,0 +1,206 @@
+/**
+ * Consensus Derivation
+ * Science Alignment Scorecard - consensus position and width from weighted sources
+ *
+ * Each topic lists structured source records (organisation, publication type,
+ * year, sample size or author count). Every source is given an influence
+ * weight, and the consensus is the influence-weighted mixture of the positions
+ * the sources support. See CONSENSUS_METHODOLOGY.md for the formulas.
+ */
+
+class ConsensusDerivation {
+    constructor() {
+        this.parameters = {
+            halfLifeYears: 10,          // A source ten years older than the newest counts half as much
+            sizeFactorPerDecade: 0.1,   // Size factor gained per tenfold increase in sample size or authors
+            minSizeFactor: 0.5,
+            unknownSizeFactor: 0.6      // Used when a source reports neither sample size nor author count
+        };
+
+        // Weight of each publication type before size and age adjustments
+        this.publicationTypeWeights = {
+            cochrane_review: 1.0,        // Cochrane systematic review
+            ipcc_assessment: 1.0,        // IPCC assessment report
+            systematic_review: 0.9,      // Other systematic review or meta-analysis
+            who_assessment: 0.9,         // WHO report or guideline
+            academy_report: 0.85,        // National academy or scientific committee report
+            agency_review: 0.8,          // Regulatory or public health agency review (CDC, FDA, EFSA, IAEA)
+            expert_survey: 0.7,          // Survey or literature review of expert opinion
+            primary_study: 0.5,          // Single peer-reviewed study
+            government_assessment: 0.4,  // Non-scientific government assessment, e.g. intelligence
+            other: 0.5
+        };
+
+        this.publicationTypeLabels = {
+            cochrane_review: 'Cochrane review',
+            ipcc_assessment: 'IPCC assessment',
+            systematic_review: 'Systematic review',
+            who_assessment: 'WHO assessment',
+            academy_report: 'Academy / committee report',
+            agency_review: 'Agency review',
+            expert_survey: 'Expert survey',
+            primary_study: 'Primary study',
+            government_assessment: 'Government assessment',
+            other: 'Other'
+        };
+
+        // Maximum acceptable difference between a recorded value and the derived one
+        this.driftTolerances = {
+            consensusPosition: 2,
+            consensusWidth: 2,
+            influenceWeight: 0.05
+        };
+    }
+
+    /**
+     * 1. INFLUENCE WEIGHT
+     * influence = type weight × size factor × recency factor
+     *   size factor    = min(1, max(0.5, 0.5 + 0.1 × log10(1 + n))), n = sample size or author count
+     *   recency factor = 0.5 ^ ((newest source year - year) / 10)
+     */
+    influenceWeight(source, newestYear) {
+        return this.typeWeight(source) * this.sizeFactor(source) * this.recencyFactor(source, newestYear);
+    }
+
+    typeWeight(source) {
+        const weight = this.publicationTypeWeights[source.publicationType];
+        return weight !== undefined ? weight : this.publicationTypeWeights.other;
+    }
+
+    sizeFactor(source) {
+        const size = source.sampleSize || source.authorCount;
+        if (!size) return this.parameters.unknownSizeFactor;
+
+        const factor = this.parameters.minSizeFactor + this.parameters.sizeFactorPerDecade * Math.log10(1 + size);
+        return Math.min(1, Math.max(this.parameters.minSizeFactor, factor));
+    }
+
+    recencyFactor(source, newestYear) {
+        if (!source.year || !newestYear) return 1;
+        return Math.pow(0.5, (newestYear - source.year) / this.parameters.halfLifeYears);
+    }
+
+    /**
+     * 2. CONSENSUS FROM SOURCES
+     * position = Σ wᵢ pᵢ / Σ wᵢ
+     * width    = 2 × √( Σ wᵢ (hᵢ² + (pᵢ - position)²) / Σ wᵢ )
+     * where pᵢ is the position a source supports and hᵢ its half-width, so
+     * the width grows both with each source's own uncertainty and with
+     * disagreement between sources.
+     * Plain-string sources (older data) carry no position and are skipped.
+     */
+    structuredSources(topic) {
+        const sources = (topic.consensusInfo && topic.consensusInfo.sources) || [];
+        return sources.filter(source => source && typeof source === 'object' && typeof source.position === 'number');
+    }
+
+    derive(topic) {
+        const sources = this.structuredSources(topic);
+        if (sources.length === 0) return null;
+
+        const newestYear = Math.max(...sources.map(source => source.year || 0));
+        const weights = sources.map(source => this.influenceWeight(source, newestYear));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight === 0) return null;
+
+        const position = sources.reduce((sum, source, i) => sum + weights[i] * source.position, 0) / totalWeight;
+        const variance = sources.reduce((sum, source, i) =>
+            sum + weights[i] * (Math.pow(source.halfWidth || 0, 2) + Math.pow(source.position - position, 2)), 0
+        ) / totalWeight;
+
+        return {
+            consensusPosition: Math.round(Math.min(100, Math.max(0, position))),
+            consensusWidth: Math.round(Math.min(100, 2 * Math.sqrt(variance))),
+            totalWeight,
+            sources: sources.map((source, i) => ({
+                ...source,
+                influenceWeight: weights[i],
+                share: weights[i] / totalWeight
+            }))
+        };
+    }
+
+    /**
+     * 3. DRIFT DETECTION
+     * Compares the recorded consensus and stored source weights against
+     * the derived ones for every topic in a consensus file.
+     */
+    findDiscrepancies(topic, derived) {
+        const discrepancies = ['consensusPosition', 'consensusWidth']
+            .map(field => ({ field, recorded: topic[field], derived: derived[field], difference: derived[field] - topic[field] }))
+            .filter(entry => Math.abs(entry.difference) > this.driftTolerances[entry.field]);
+
+        derived.sources.forEach(source => {
+            if (typeof source.recordedWeight !== 'number') return;
+            const difference = source.influenceWeight - source.recordedWeight;
+            if (Math.abs(difference) > this.driftTolerances.influenceWeight) {
+                discrepancies.push({
+                    field: `influenceWeight (${source.organisation})`,
+                    recorded: source.recordedWeight,
+                    derived: Math.round(source.influenceWeight * 100) / 100,
+                    difference
+                });
+            }
+        });
+
+        return discrepancies;
+    }
+
+    validateDataset(consensusData) {
+        const report = [];
+
+        Object.keys(consensusData.topics).forEach(topicId => {
+            const topic = consensusData.topics[topicId];
+            const derived = this.derive({
+                consensusInfo: {
+                    sources: this.structuredSources(topic).map(source => ({ ...source, recordedWeight: source.influenceWeight }))
+                }
+            });
+
+            if (!derived) {
+                report.push({ topicId, discrepancies: [{ field: 'sources', recorded: 'unstructured', derived: null, difference: null }] });
+                return;
+            }
+
+            const discrepancies = this.findDiscrepancies(topic, derived);
+            if (discrepancies.length > 0) {
+                report.push({ topicId, discrepancies });
+            }
+        });
+
+        return report;
+    }
+
+    describeType(publicationType) {
+        return this.publicationTypeLabels[publicationType] || this.publicationTypeLabels.other;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsensusDerivation;
+}
+
+if (typeof window !== 'undefined') {
+    window.ConsensusDerivation = ConsensusDerivation;
+}
+
+// Report drift in the consensus file when run directly: node consensus-derivation.js [consensus-file]
+if (typeof require !== 'undefined' && require.main === module) {
+    const path = require('path');
+    const consensusFile = process.argv[2] || 'scientific-consensus.json';
+    const consensusData = require(path.resolve(consensusFile));
+
+    const report = new ConsensusDerivation().validateDataset(consensusData);
+
+    if (report.length === 0) {
+        console.log(`✅ ${consensusFile}: every consensus matches its weighted sources`);
+    } else {
+        console.log(`⚠️ ${consensusFile}: ${report.length} topic(s) whose consensus disagrees with its sources`);
+        report.forEach(entry => {
+            entry.discrepancies.forEach(d => {
+                console.log(`  ${entry.topicId}: ${d.field} recorded ${d.recorded}, derived ${d.derived}`);
+            });
+        });
+    }
+}
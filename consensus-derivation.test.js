@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlignmentScoring = require('./alignment-scoring');
+const ConsensusDerivation = require('./consensus-derivation');
+
+const derivation = new ConsensusDerivation();
+
+// Structured sources are read from consensusInfo, as in scientific-consensus.json
+const deriveFrom = sources => derivation.derive({ consensusInfo: { sources } });
+
+test('a topic without structured sources has no derived consensus', () => {
+    assert.equal(derivation.derive({}), null);
+    assert.equal(deriveFrom([]), null);
+    assert.equal(deriveFrom(['IPCC AR6', { organisation: 'WHO' }]), null);
+});
+
+test('sources that agree exactly and carry no uncertainty give a zero-width consensus', () => {
+    const derived = deriveFrom([
+        { organisation: 'A', publicationType: 'systematic_review', year: 2020, position: 90, halfWidth: 0 },
+        { organisation: 'B', publicationType: 'primary_study', year: 2015, position: 90 }
+    ]);
+
+    assert.equal(derived.consensusPosition, 90);
+    assert.equal(derived.consensusWidth, 0);
+    assert.ok(Math.abs(derived.sources[0].share + derived.sources[1].share - 1) < 1e-12);
+});
+
+test('a zero-width consensus still scores statements on a finite scale', () => {
+    const scoring = new AlignmentScoring();
+
+    assert.equal(scoring.statementAlignment(90, 90, 0), 100);
+    const off = scoring.statementAlignment(60, 90, 0);
+    assert.ok(Number.isFinite(off) && off > 0 && off < scoring.statementAlignment(60, 90, 20));
+});
+
+test('disagreement between sources widens the consensus', () => {
+    const derived = deriveFrom([
+        { publicationType: 'systematic_review', year: 2020, position: 70, halfWidth: 0 },
+        { publicationType: 'systematic_review', year: 2020, position: 90, halfWidth: 0 }
+    ]);
+
+    assert.equal(derived.consensusPosition, 80);
+    assert.equal(derived.consensusWidth, 20);
+});
+
+test('stronger, larger and newer sources pull the position toward them', () => {
+    const derived = deriveFrom([
+        { publicationType: 'cochrane_review', year: 2022, sampleSize: 100000, position: 90, halfWidth: 5 },
+        { publicationType: 'primary_study', year: 2002, sampleSize: 20, position: 50, halfWidth: 5 }
+    ]);
+
+    assert.ok(derived.consensusPosition > 80);
+    assert.ok(derived.sources[0].influenceWeight > derived.sources[1].influenceWeight);
+});
+
+test('the size factor is bounded and falls back when no size is reported', () => {
+    assert.equal(derivation.sizeFactor({}), derivation.parameters.unknownSizeFactor);
+    assert.equal(derivation.sizeFactor({ sampleSize: 1e12 }), 1);
+    assert.ok(derivation.sizeFactor({ authorCount: 1 }) >= derivation.parameters.minSizeFactor);
+});
+
+test('the recency factor halves every half-life and ignores undated sources', () => {
+    assert.equal(derivation.recencyFactor({ year: 2010 }, 2020), 0.5);
+    assert.equal(derivation.recencyFactor({}, 2020), 1);
+    assert.equal(derivation.recencyFactor({ year: 2010 }, 0), 1);
+});
+
+test('validation reports topics whose recorded consensus drifts from its sources', () => {
+    const report = derivation.validateDataset({
+        topics: {
+            matches: { consensusPosition: 90, consensusWidth: 0, consensusInfo: { sources: [{ position: 90 }] } },
+            drifted: { consensusPosition: 60, consensusWidth: 0, consensusInfo: { sources: [{ position: 90 }] } },
+            unstructured: { consensusPosition: 50, consensusWidth: 10, consensusInfo: { sources: ['Some report'] } }
+        }
+    });
+
+    assert.deepEqual(report.map(entry => entry.topicId), ['drifted', 'unstructured']);
+    assert.equal(report[0].discrepancies[0].field, 'consensusPosition');
+    assert.equal(report[1].discrepancies[0].field, 'sources');
+});
@@ -0,0 +1,88 @@
+/**
+ * Consensus History
+ * Science Alignment Scorecard - which consensus applied on a given date
+ *
+ * A topic's top-level consensusPosition/consensusWidth is the current
+ * consensus. Its optional history lists earlier entries, each with the date
+ * it took effect. Statements can then be scored against the consensus that
+ * applied when they were made ('historical') or against today's ('current').
+ */
+
+class ConsensusHistory {
+    constructor() {
+        this.modes = {
+            historical: {
+                label: 'Consensus at time of statement',
+                description: 'Each statement is scored against the consensus in effect on its date'
+            },
+            current: {
+                label: 'Current consensus',
+                description: 'Every statement is re-scored against today\'s consensus'
+            }
+        };
+    }
+
+    /**
+     * History entries sorted oldest first. A topic without history has a
+     * single entry: its current consensus.
+     */
+    entries(topic) {
+        const history = (topic.consensusHistory || topic.history || [])
+            .filter(entry => entry.effectiveDate)
+            .sort((a, b) => new Date(a.effectiveDate) - new Date(b.effectiveDate));
+
+        return history.length > 0 ? history : [this.current(topic)];
+    }
+
+    current(topic) {
+        return {
+            effectiveDate: null,
+            consensusPosition: topic.consensusPosition,
+            consensusWidth: topic.consensusWidth,
+            evidenceLevel: topic.consensusInfo ? topic.consensusInfo.evidenceLevel : undefined,
+            summary: topic.consensusInfo ? topic.consensusInfo.summary : undefined
+        };
+    }
+
+    /**
+     * The latest entry effective on or before the date. Statements older than
+     * every entry use the earliest one; undated statements use the current one.
+     */
+    consensusAt(topic, date) {
+        const time = date ? new Date(date).getTime() : NaN;
+        if (isNaN(time)) return this.current(topic);
+
+        const history = this.entries(topic);
+        const effective = history.filter(entry => !entry.effectiveDate || new Date(entry.effectiveDate).getTime() <= time);
+        return effective.length > 0 ? effective[effective.length - 1] : history[0];
+    }
+
+    /**
+     * Consensus a statement is scored against under the given mode.
+     */
+    consensusFor(topic, statement, mode = 'historical') {
+        return mode === 'current'
+            ? this.current(topic)
+            : this.consensusAt(topic, statement.date);
+    }
+
+    hasChanged(topic) {
+        const history = this.entries(topic);
+        return history.some(entry =>
+            entry.consensusPosition !== topic.consensusPosition || entry.consensusWidth !== topic.consensusWidth
+        );
+    }
+
+    describe(mode) {
+        return this.modes[mode] || this.modes.historical;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsensusHistory;
+}
+
+if (typeof window !== 'undefined') {
+    window.ConsensusHistory = ConsensusHistory;
+}
@@ -0,0 +1,86 @@
+/**
+ * Election Directory
+ * Science Alignment Scorecard - available elections and the one to use for a ballot
+ *
+ * Node.js only. Lists the elections the ballot provider knows about and
+ * keeps the list for a few hours, since it changes a handful of times a
+ * year. For a ballot lookup without an election id, picks the next upcoming
+ * election whose division covers the address: a national election, or one
+ * for the address's state. The Civic test election (id 2000) is never picked.
+ */
+
+class ElectionDirectory {
+    constructor(provider) {
+        this.provider = provider;       // BallotProvider
+
+        this.parameters = {
+            cacheHours: 6,              // How long a fetched election list is used
+            testElectionId: '2000'      // Civic's "VIP Test Election", present all year
+        };
+
+        this.cache = null;      // { elections, fetchedAt }
+        this.pending = null;    // In-flight fetch shared by concurrent callers
+    }
+
+    /**
+     * 1. LISTING
+     * Elections as { id, name, electionDay, ocdDivisionId, state, isTest },
+     * soonest first. state is the two-letter code, or null for national elections.
+     */
+    async list(options = {}) {
+        if (!options.refresh && this.cache && Date.now() - this.cache.fetchedAt < this.parameters.cacheHours * 3600 * 1000) {
+            return this.cache.elections;
+        }
+        if (!this.pending) {
+            this.pending = this.fetchElections()
+                .then(elections => {
+                    this.cache = { elections, fetchedAt: Date.now() };
+                    return elections;
+                })
+                .finally(() => {
+                    this.pending = null;
+                });
+        }
+        return this.pending;
+    }
+
+    async fetchElections() {
+        const data = await this.provider.elections();
+        return (data.elections || [])
+            .map(election => ({
+                id: String(election.id),
+                name: election.name,
+                electionDay: election.electionDay,
+                ocdDivisionId: election.ocdDivisionId || null,
+                state: this.divisionState(election.ocdDivisionId),
+                isTest: String(election.id) === this.parameters.testElectionId
+            }))
+            .sort((a, b) => a.electionDay.localeCompare(b.electionDay));
+    }
+
+    cachedAt() {
+        return this.cache ? new Date(this.cache.fetchedAt).toISOString() : null;
+    }
+
+    /**
+     * 2. SELECTION
+     * Next election on or after today (in UTC) that covers the state, or
+     * null. Without a state only national elections qualify.
+     */
+    async upcomingFor(state, today = new Date()) {
+        const day = today.toISOString().slice(0, 10);
+        const elections = await this.list();
+
+        return elections.find(election => !election.isTest
+            && election.electionDay >= day
+            && (election.state === null || election.state === state)) || null;
+    }
+
+    // "ocd-division/country:us/state:wa" → "WA"; national divisions → null
+    divisionState(ocdDivisionId) {
+        const match = /\/state:([a-z]{2})(\/|$)/i.exec(ocdDivisionId || '');
+        return match ? match[1].toUpperCase() : null;
+    }
+}
+
+module.exports = ElectionDirectory;
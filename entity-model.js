@@ -0,0 +1,82 @@
+/**
+ * Entity Model
+ * Science Alignment Scorecard - public figures and organisations whose statements are scored
+ *
+ * Every scored entity has an id, a name and an entityType. Election fields
+ * (party, office, state, district, city) are optional and only expected for
+ * candidates and officials; nothing downstream may assume they exist.
+ * Data files list entities under "entities"; the older "candidates" key is
+ * still read.
+ */
+
+class EntityModel {
+    constructor() {
+        this.types = {
+            candidate: { label: 'Candidate', plural: 'Candidates', electoral: true },
+            official: { label: 'Official', plural: 'Officials', electoral: true },
+            commentator: { label: 'Commentator', plural: 'Commentators', electoral: false },
+            corporation: { label: 'Corporation', plural: 'Corporations', electoral: false },
+            ngo: { label: 'NGO', plural: 'NGOs', electoral: false }
+        };
+
+        this.electionFields = ['party', 'office', 'state', 'district', 'city'];
+    }
+
+    /**
+     * 1. READING DATA FILES
+     */
+    entitiesOf(data) {
+        return (data && (data.entities || data.candidates)) || {};
+    }
+
+    // Records without an entityType predate the entity model and are candidates
+    normalize(record, id = record.id) {
+        const entityType = this.types[record.entityType] ? record.entityType : 'candidate';
+        const entity = { ...record, id, entityType };
+
+        this.electionFields.forEach(field => {
+            if (entity[field] === '' || entity[field] === null) delete entity[field];
+        });
+
+        return entity;
+    }
+
+    /**
+     * 2. DESCRIPTION
+     */
+    typeLabel(entity) {
+        return (this.types[entity.entityType] || this.types.candidate).label;
+    }
+
+    isElectoral(entity) {
+        return (this.types[entity.entityType] || this.types.candidate).electoral;
+    }
+
+    // An entity can only be placed in an election when it has an office to run for
+    hasElection(entity) {
+        return this.isElectoral(entity) && Boolean(entity.office);
+    }
+
+    // Short line shown under a name: party and office for candidates, type and sector otherwise
+    subtitle(entity) {
+        const parts = this.isElectoral(entity)
+            ? [entity.party, entity.office, entity.district || entity.city, entity.state]
+            : [this.typeLabel(entity), entity.sector || entity.affiliation];
+
+        return parts.filter(Boolean).join(' • ') || this.typeLabel(entity);
+    }
+
+    // Party when known, otherwise the entity type, so no label ever reads "undefined"
+    affiliationLabel(entity) {
+        return entity.party || (this.isElectoral(entity) ? 'No party listed' : this.typeLabel(entity));
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EntityModel;
+}
+
+if (typeof window !== 'undefined') {
+    window.EntityModel = EntityModel;
+}
@@ -0,0 +1,108 @@
+/**
+ * JSON Data Importer
+ * Science Alignment Scorecard - one-time import of the JSON data files into the statement store
+ *
+ * Usage: node import-json-data.js [--force]
+ *
+ * Topics come from scientific-consensus.json; entities and their statements
+ * from candidate-data.json (tagged dataset "demo") and candidate-data-real.json
+ * (tagged "real"), entered as already published. Refuses to run against a non-empty store unless --force
+ * is given, in which case records already in the store are skipped: topics
+ * and entities by id, statements by dataset, entity, topic and the id they
+ * have in the data file. Re-running the import only adds what is new.
+ */
+
+const path = require('path');
+const StatementStore = require('./statement-store');
+const EntityModel = require('./entity-model');
+
+const DATA_FILES = [
+    { file: 'candidate-data.json', dataset: 'demo' },
+    { file: 'candidate-data-real.json', dataset: 'real' }
+];
+
+async function importJsonData(store, options = {}) {
+    const entityModel = new EntityModel();
+    const summary = { topics: 0, entities: 0, statements: 0, skipped: 0 };
+
+    // Imported statements get fresh store ids, so they are recognised by where they came from
+    const statementKey = statement => [statement.dataset, statement.entityId, statement.topicId, statement.legacyId].join('|');
+    const importedStatements = new Set(Object.values(store.data.statements)
+        .filter(statement => statement.legacyId)
+        .map(statementKey));
+
+    const exists = (collection, record) => collection === 'statements'
+        ? importedStatements.has(statementKey(record))
+        : Boolean(record.id && store.data[collection][record.id]);
+
+    const createIfMissing = async (collection, record, createOptions) => {
+        if (exists(collection, record)) {
+            summary.skipped++;
+            return null;
+        }
+        summary[collection]++;
+        if (collection === 'statements') importedStatements.add(statementKey(record));
+        return store.create(collection, record, createOptions);
+    };
+
+    const consensusData = require(path.join(__dirname, 'scientific-consensus.json'));
+    for (const [topicId, topic] of Object.entries(consensusData.topics)) {
+        await createIfMissing('topics', { ...topic, id: topicId });
+    }
+
+    for (const { file, dataset } of options.files || DATA_FILES) {
+        const entityData = require(path.join(__dirname, file));
+        const entities = entityModel.entitiesOf(entityData);
+
+        for (const [entityId, record] of Object.entries(entities)) {
+            const { positions, ...fields } = record;
+            await createIfMissing('entities', { ...fields, id: entityId, dataset });
+
+            for (const [topicId, position] of Object.entries(positions || {})) {
+                if (!store.data.topics[topicId]) continue;
+
+                for (const statement of position.statements || []) {
+                    // Statement ids repeat within and across the files, so each gets a fresh store id
+                    const { id: legacyId, url, ...statementFields } = statement;
+                    await createIfMissing('statements', {
+                        ...statementFields,
+                        sourceUrl: statement.sourceUrl || url,
+                        legacyId,
+                        entityId,
+                        topicId,
+                        dataset
+                    }, {
+                        // Statements in the data files were checked by hand before the review workflow existed
+                        review: { status: 'published', submittedBy: 'import', note: `Imported from ${file}` }
+                    });
+                }
+            }
+        }
+    }
+
+    return summary;
+}
+
+module.exports = importJsonData;
+module.exports.DATA_FILES = DATA_FILES;
+
+if (require.main === module) {
+    (async () => {
+        const store = await new StatementStore().load();
+        const force = process.argv.includes('--force');
+
+        if (!store.isEmpty() && !force) {
+            console.log(`⚠️ ${store.filePath} already has data; run with --force to import anyway`);
+            process.exit(1);
+        }
+
+        const summary = await importJsonData(store);
+        console.log(`✅ Imported ${summary.topics} topics, ${summary.entities} entities and ${summary.statements} statements into ${store.filePath}`);
+        if (summary.skipped > 0) {
+            console.log(`   Skipped ${summary.skipped} record(s) that already existed`);
+        }
+    })().catch(error => {
+        console.error('❌ Import failed:', error.message);
+        process.exit(1);
+    });
+}
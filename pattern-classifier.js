@@ -0,0 +1,187 @@
+/**
+ * Behaviour Pattern Classifier
+ * Science Alignment Scorecard - assigns a figure's overall pattern from evidence
+ *
+ * Reads per-topic alignment scores, statement variability and the trend of
+ * statement alignment over time, and returns a pattern plus a description
+ * generated from the same evidence. Replaces hand-typed overallPattern labels.
+ */
+
+class PatternClassifier {
+    constructor(scoring) {
+        this.scoring = scoring;     // AlignmentScoring instance, for statement-level alignment
+
+        this.thresholds = {
+            minScoredTopics: 2,         // Fewer scored topics than this is limited data
+            minStatements: 3,           // Fewer statements overall than this is limited data
+            alignedScore: 70,           // Topic score at or above this counts as aligned
+            misalignedScore: 40,        // Topic score at or below this counts as misaligned
+            volatileVariability: 25,    // Mean within-topic position spread marking volatility
+            driftPerYear: 10,           // Alignment change per year marking a drift
+            minTrendSpanDays: 180       // Statements must span this long to estimate a trend
+        };
+
+        this.labels = {
+            'consistently-aligned': 'Consistently Aligned',
+            'consistently-misaligned': 'Consistently Misaligned',
+            'selective': 'Selective',
+            'drifting-toward': 'Drifting Toward Consensus',
+            'drifting-away': 'Drifting Away From Consensus',
+            'volatile': 'Volatile',
+            'mixed': 'Mixed Record',
+            'limited-data': 'Limited Data'
+        };
+    }
+
+    /**
+     * 1. EVIDENCE GATHERING
+     */
+    gatherEvidence(topics) {
+        const scoredTopics = topics.filter(topic => topic.alignmentScore !== null && topic.alignmentScore !== undefined);
+        const scores = scoredTopics.map(topic => topic.alignmentScore);
+        const variabilities = scoredTopics
+            .map(topic => topic.candidateVariability)
+            .filter(value => value !== null && value !== undefined);
+
+        // Alignments are centred on their topic mean so the trend reflects
+        // change within topics rather than which topics were spoken about when
+        const datedAlignments = [];
+        scoredTopics.forEach(topic => {
+            const entries = (topic.candidateStatements || [])
+                .filter(statement => typeof statement.position === 'number' && !isNaN(new Date(statement.date).getTime()))
+                .map(statement => ({
+                    time: new Date(statement.date).getTime(),
+                    alignment: this.scoring.alignStatement(statement, topic)
+                }));
+            if (entries.length === 0) return;
+
+            const topicMean = entries.reduce((sum, entry) => sum + entry.alignment, 0) / entries.length;
+            entries.forEach(entry => datedAlignments.push({ time: entry.time, alignment: entry.alignment - topicMean }));
+        });
+
+        return {
+            scoredTopics,
+            statementCount: datedAlignments.length,
+            meanScore: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null,
+            minScore: scores.length > 0 ? Math.min(...scores) : null,
+            maxScore: scores.length > 0 ? Math.max(...scores) : null,
+            meanVariability: variabilities.length > 0
+                ? variabilities.reduce((sum, value) => sum + value, 0) / variabilities.length
+                : 0,
+            trend: this.estimateTrend(datedAlignments)
+        };
+    }
+
+    /**
+     * Least-squares slope of statement alignment against time, in points per year.
+     * Returns null when the statements do not span long enough to say.
+     */
+    estimateTrend(datedAlignments) {
+        if (datedAlignments.length < 3) return null;
+
+        const times = datedAlignments.map(entry => entry.time);
+        const spanDays = (Math.max(...times) - Math.min(...times)) / (1000 * 60 * 60 * 24);
+        if (spanDays < this.thresholds.minTrendSpanDays) return null;
+
+        const years = datedAlignments.map(entry => entry.time / (1000 * 60 * 60 * 24 * 365.25));
+        const values = datedAlignments.map(entry => entry.alignment);
+        const meanYear = years.reduce((sum, value) => sum + value, 0) / years.length;
+        const meanValue = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+        let covariance = 0;
+        let variance = 0;
+        years.forEach((year, i) => {
+            covariance += (year - meanYear) * (values[i] - meanValue);
+            variance += Math.pow(year - meanYear, 2);
+        });
+
+        return {
+            slopePerYear: variance > 0 ? covariance / variance : 0,
+            spanDays: Math.round(spanDays)
+        };
+    }
+
+    /**
+     * 2. CLASSIFICATION
+     * Checked in order: limited data, volatile, drifting, selective,
+     * consistently aligned, consistently misaligned, otherwise mixed.
+     */
+    classify(topics) {
+        const evidence = this.gatherEvidence(topics);
+        const t = this.thresholds;
+        let pattern;
+
+        if (evidence.scoredTopics.length < t.minScoredTopics || evidence.statementCount < t.minStatements) {
+            pattern = 'limited-data';
+        } else if (evidence.meanVariability >= t.volatileVariability) {
+            pattern = 'volatile';
+        } else if (evidence.trend && Math.abs(evidence.trend.slopePerYear) >= t.driftPerYear) {
+            pattern = evidence.trend.slopePerYear > 0 ? 'drifting-toward' : 'drifting-away';
+        } else if (evidence.maxScore >= t.alignedScore && evidence.minScore <= t.misalignedScore) {
+            pattern = 'selective';
+        } else if (evidence.minScore >= t.alignedScore) {
+            pattern = 'consistently-aligned';
+        } else if (evidence.maxScore <= t.misalignedScore) {
+            pattern = 'consistently-misaligned';
+        } else {
+            pattern = 'mixed';
+        }
+
+        return {
+            pattern,
+            label: this.labels[pattern],
+            description: this.describe(pattern, evidence),
+            evidence: {
+                scoredTopics: evidence.scoredTopics.length,
+                statementCount: evidence.statementCount,
+                meanScore: evidence.meanScore,
+                minScore: evidence.minScore,
+                maxScore: evidence.maxScore,
+                meanVariability: evidence.meanVariability,
+                trend: evidence.trend
+            }
+        };
+    }
+
+    /**
+     * 3. DESCRIPTION
+     * Text is built only from the evidence used for the classification.
+     */
+    describe(pattern, evidence) {
+        const t = this.thresholds;
+        const topicCount = evidence.scoredTopics.length;
+        const aligned = evidence.scoredTopics.filter(topic => topic.alignmentScore >= t.alignedScore);
+        const misaligned = evidence.scoredTopics.filter(topic => topic.alignmentScore <= t.misalignedScore);
+        const listTopics = list => list.map(topic => `"${topic.statement}" (${topic.alignmentScore})`).join(', ');
+        const range = `${evidence.minScore}–${evidence.maxScore}`;
+
+        switch (pattern) {
+            case 'limited-data':
+                return topicCount < t.minScoredTopics
+                    ? `Statements cover only ${topicCount} scored topic${topicCount === 1 ? '' : 's'} (${evidence.statementCount} statement${evidence.statementCount === 1 ? '' : 's'}); not enough to characterise a pattern across topics.`
+                    : `Only ${evidence.statementCount} statement${evidence.statementCount === 1 ? '' : 's'} across ${topicCount} scored topics; not enough evidence to characterise a pattern.`;
+            case 'volatile':
+                return `Statement positions vary by ${Math.round(evidence.meanVariability)} points on average within a topic, so no stable stance can be identified.`;
+            case 'drifting-toward':
+            case 'drifting-away':
+                return `Statement alignment has ${pattern === 'drifting-toward' ? 'risen' : 'fallen'} by about ${Math.abs(Math.round(evidence.trend.slopePerYear))} points per year over ${Math.round(evidence.trend.spanDays / 30)} months of statements.`;
+            case 'selective':
+                return `Aligned with consensus on ${aligned.length} of ${topicCount} topics but departs on ${listTopics(misaligned)}.`;
+            case 'consistently-aligned':
+                return `Aligned with consensus on all ${topicCount} scored topics (scores ${range}).`;
+            case 'consistently-misaligned':
+                return `Departs from consensus on all ${topicCount} scored topics (scores ${range}).`;
+            default:
+                return `Partial alignment across ${topicCount} topics (scores ${range}, mean ${Math.round(evidence.meanScore)}).`;
+        }
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternClassifier;
+}
+
+if (typeof window !== 'undefined') {
+    window.PatternClassifier = PatternClassifier;
+}
@@ -0,0 +1,300 @@
+/**
+ * Quote Verifier
+ * Science Alignment Scorecard - checks that a quote appears in its archived source
+ *
+ * Node.js only. Extracts the text of an archived document (HTML page, PDF or
+ * transcript) and looks for the quote word by word, ignoring case and
+ * punctuation. The best-matching passage is found by approximate substring
+ * matching (edit distance in words), so a quote with a changed or missing
+ * word is reported as a near match with a word-level diff rather than as
+ * missing.
+ */
+
+const zlib = require('zlib');
+
+class QuoteVerifier {
+    constructor() {
+        this.parameters = {
+            nearSimilarity: 0.75,       // Share of quote words that must line up for a near match
+            maxQuoteWords: 300,         // Longer quotes are cut to their start
+            editCost: 1000              // Alignment cost of one edit; a matching word earns 1 back
+        };
+
+        this.statuses = {
+            'exact': 'Quote found word for word in the source',
+            'near': 'A close match was found; see the differences',
+            'not-found': 'Quote not found in the source',
+            'unreadable': 'No text could be read from the archived source',
+            'unchecked': 'The source has not been archived and checked yet'
+        };
+    }
+
+    /**
+     * 1. TEXT EXTRACTION
+     * Returns plain text, or null when the format cannot be read.
+     */
+    extractText(content, contentType = '') {
+        if (/pdf/i.test(contentType)) return this.pdfText(content);
+        if (/html|xml/i.test(contentType)) return this.htmlText(content.toString('utf8'));
+        if (/text|json|vtt|subrip/i.test(contentType)) return this.transcriptText(content.toString('utf8'));
+        return null;
+    }
+
+    htmlText(html) {
+        return html
+            .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<br\s*\/?>|<\/(p|div|li|h[1-6])>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&(#39|#x27|apos|rsquo|lsquo);/g, '\'')
+            .replace(/&(quot|ldquo|rdquo);/g, '"')
+            .replace(/&(mdash|ndash);/g, '-')
+            .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(Number(code)))
+            .replace(/&amp;/g, '&');
+    }
+
+    // Drops the cue numbers and timestamps of WebVTT/SRT captions; plain transcripts pass through
+    transcriptText(text) {
+        return text
+            .replace(/^WEBVTT.*$/m, '')
+            .replace(/^\d+\s*$/gm, '')
+            .replace(/^[\d:.,]+\s*-->\s*[\d:.,]+.*$/gm, '');
+    }
+
+    /**
+     * Text drawn by the Tj/TJ operators of a PDF's content streams. Handles
+     * uncompressed and Flate-compressed streams with simple font encodings;
+     * PDFs using embedded CID fonts come back empty and are reported unreadable.
+     */
+    pdfText(buffer) {
+        const raw = buffer.toString('latin1');
+        const pieces = [];
+        const streamStart = /stream\r?\n/g;
+        let match;
+
+        while ((match = streamStart.exec(raw)) !== null) {
+            const start = match.index + match[0].length;
+            const end = raw.indexOf('endstream', start);
+            if (end === -1) break;
+
+            const dictionary = raw.slice(Math.max(0, match.index - 400), match.index);
+            let data = Buffer.from(raw.slice(start, end), 'latin1');
+            if (/FlateDecode/.test(dictionary.slice(dictionary.lastIndexOf('<<')))) {
+                try {
+                    data = zlib.inflateSync(data);
+                } catch (error) {
+                    streamStart.lastIndex = end;
+                    continue;
+                }
+            }
+
+            pieces.push(this.pdfStreamText(data.toString('latin1')));
+            streamStart.lastIndex = end;
+        }
+
+        const text = pieces.join('\n').trim();
+        return text.length > 0 ? text : null;
+    }
+
+    pdfStreamText(stream) {
+        const lines = [];
+        const operators = /\[((?:\\.|[^\]])*)\]\s*TJ|(\((?:\\.|[^\\)])*\))\s*(?:Tj|'|")|(T\*|Td|TD)/g;
+        let line = '';
+        let match;
+
+        while ((match = operators.exec(stream)) !== null) {
+            if (match[3]) {
+                lines.push(line);
+                line = '';
+            } else if (match[2]) {
+                line += this.pdfString(match[2]);
+            } else {
+                // In TJ arrays a large negative kerning number stands for a space
+                match[1].replace(/(\((?:\\.|[^\\)])*\))|(-?\d+\.?\d*)/g, (part, string, number) => {
+                    if (string) line += this.pdfString(string);
+                    else if (Number(number) <= -200) line += ' ';
+                    return part;
+                });
+            }
+        }
+        lines.push(line);
+
+        return lines.filter(Boolean).join(' ');
+    }
+
+    pdfString(literal) {
+        return literal.slice(1, -1)
+            .replace(/\\([0-7]{1,3})/g, (match, octal) => String.fromCharCode(parseInt(octal, 8)))
+            .replace(/\\n/g, '\n')
+            .replace(/\\r/g, '\r')
+            .replace(/\\t/g, '\t')
+            .replace(/\\(.)/g, '$1');
+    }
+
+    /**
+     * 2. MATCHING
+     * Returns { status, similarity, matchedText, diff }. diff lists runs of
+     * words as { type: 'same' | 'removed' | 'added', text }: 'removed' words
+     * are in the quote but not the source, 'added' in the source but not the quote.
+     */
+    verify(quote, documentText) {
+        if (!documentText) {
+            return { status: 'unreadable', similarity: null, matchedText: null, diff: [] };
+        }
+
+        const quoteWords = this.words(quote).slice(0, this.parameters.maxQuoteWords);
+        const documentWords = this.words(documentText);
+        if (quoteWords.length === 0 || documentWords.length === 0) {
+            return { status: 'not-found', similarity: 0, matchedText: null, diff: [] };
+        }
+
+        const best = this.bestMatch(quoteWords.map(word => word.key), documentWords.map(word => word.key));
+        const similarity = Math.max(0, 1 - best.distance / quoteWords.length);
+        const status = best.distance === 0
+            ? 'exact'
+            : similarity >= this.parameters.nearSimilarity ? 'near' : 'not-found';
+
+        if (status === 'not-found') {
+            return { status, similarity: this.round(similarity), matchedText: null, diff: [] };
+        }
+
+        const passage = documentWords.slice(best.start, best.end);
+        return {
+            status,
+            similarity: this.round(similarity),
+            matchedText: passage.map(word => word.text).join(' '),
+            diff: status === 'exact' ? [] : this.diff(quoteWords, passage)
+        };
+    }
+
+    // Lower-cased words with punctuation and apostrophes removed, keeping the original for display
+    words(text) {
+        return ((text || '').replace(/[‘’]/g, '\'').match(/[\p{L}\p{N}][\p{L}\p{N}'%.,$-]*/gu) || [])
+            .map(text => ({ text: text.replace(/[.,'-]+$/, ''), key: text.toLowerCase().replace(/[^\p{L}\p{N}%$]/gu, '') }))
+            .filter(word => word.key.length > 0);
+    }
+
+    /**
+     * Smallest word edit distance between the quote and any passage of the
+     * document. The first pass keeps two rows to find where the best passage
+     * ends; the second aligns the quote against a window before that end to
+     * find where it starts.
+     */
+    bestMatch(quote, document) {
+        let previous = new Array(document.length + 1).fill(0);
+        for (let i = 1; i <= quote.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= document.length; j++) {
+                current[j] = Math.min(
+                    previous[j - 1] + (quote[i - 1] === document[j - 1] ? 0 : 1),
+                    previous[j] + 1,
+                    current[j - 1] + 1
+                );
+            }
+            previous = current;
+        }
+
+        let end = 0;
+        for (let j = 1; j <= document.length; j++) {
+            if (previous[j] < previous[end]) end = j;
+        }
+
+        const windowStart = Math.max(0, end - 2 * quote.length);
+        const { start } = this.alignment(quote, document.slice(windowStart, end));
+        return { distance: previous[end], start: windowStart + start, end };
+    }
+
+    /**
+     * Alignment table of the quote against a passage. Costs rank fewer edits
+     * first and more matching words second, so among equally close passages
+     * the one sharing the most words is chosen. With global false the
+     * passage may start anywhere (but must end at its end); start is where
+     * the best alignment begins.
+     */
+    alignment(quote, passage, global = false) {
+        const edit = this.parameters.editCost;
+        const cost = (i, j) => quote[i - 1] === passage[j - 1] ? -1 : edit;
+        const rows = [Array.from({ length: passage.length + 1 }, (value, j) => global ? j * edit : 0)];
+
+        for (let i = 1; i <= quote.length; i++) {
+            rows[i] = [i * edit];
+            for (let j = 1; j <= passage.length; j++) {
+                rows[i][j] = Math.min(rows[i - 1][j - 1] + cost(i, j), rows[i - 1][j] + edit, rows[i][j - 1] + edit);
+            }
+        }
+
+        const steps = [];
+        let i = quote.length;
+        let j = passage.length;
+        while (i > 0 || (global && j > 0)) {
+            if (i > 0 && j > 0 && rows[i][j] === rows[i - 1][j - 1] + cost(i, j)) {
+                steps.unshift({ type: quote[i - 1] === passage[j - 1] ? 'same' : 'substituted', quote: --i, passage: --j });
+            } else if (i > 0 && rows[i][j] === rows[i - 1][j] + edit) {
+                steps.unshift({ type: 'removed', quote: --i });
+            } else {
+                steps.unshift({ type: 'added', passage: --j });
+            }
+        }
+
+        return { steps, start: j };
+    }
+
+    diff(quoteWords, passageWords) {
+        const { steps } = this.alignment(quoteWords.map(word => word.key), passageWords.map(word => word.key), true);
+        const runs = [];
+        let removed = [];
+        let added = [];
+
+        // Between unchanged runs, all words missing from the source come first, then all words only in the source
+        const flush = () => {
+            if (removed.length > 0) runs.push({ type: 'removed', text: removed.join(' ') });
+            if (added.length > 0) runs.push({ type: 'added', text: added.join(' ') });
+            removed = [];
+            added = [];
+        };
+
+        steps.forEach(step => {
+            if (step.type === 'same') {
+                flush();
+                const last = runs[runs.length - 1];
+                if (last && last.type === 'same') last.text += ` ${passageWords[step.passage].text}`;
+                else runs.push({ type: 'same', text: passageWords[step.passage].text });
+                return;
+            }
+            if (step.type !== 'added') removed.push(quoteWords[step.quote].text);
+            if (step.type !== 'removed') added.push(passageWords[step.passage].text);
+        });
+        flush();
+
+        return runs;
+    }
+
+    /**
+     * 3. DOCUMENTS
+     * documents - [{ sha256, kind, text }]; the best result across them wins.
+     */
+    verifyAgainst(quote, documents) {
+        const rank = { 'exact': 3, 'near': 2, 'not-found': 1, 'unreadable': 0 };
+        let best = null;
+
+        documents.forEach(document => {
+            const result = { ...this.verify(quote, document.text), document: document.sha256, documentKind: document.kind };
+            if (!best || rank[result.status] > rank[best.status]
+                || (rank[result.status] === rank[best.status] && (result.similarity || 0) > (best.similarity || 0))) {
+                best = result;
+            }
+        });
+
+        return { ...(best || this.verify(quote, null)), checkedAt: new Date().toISOString() };
+    }
+
+    describe(status) {
+        return this.statuses[status] || status;
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+module.exports = QuoteVerifier;
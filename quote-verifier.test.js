@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const QuoteVerifier = require('./quote-verifier');
+
+const verifier = new QuoteVerifier();
+const source = 'Opening remarks. Vaccines are safe and effective, and they save lives every year. Thank you.';
+
+test('a quote found word for word is exact, ignoring case and punctuation', () => {
+    const result = verifier.verify('vaccines are SAFE and effective and they save lives', source);
+
+    assert.equal(result.status, 'exact');
+    assert.equal(result.similarity, 1);
+    assert.equal(result.matchedText, 'Vaccines are safe and effective and they save lives');
+    assert.deepEqual(result.diff, []);
+});
+
+test('a quote with one changed word is a near match with a word-level diff', () => {
+    const result = verifier.verify('Vaccines are safe and effective, and they protect lives every year.', source);
+
+    assert.equal(result.status, 'near');
+    assert.ok(result.similarity >= verifier.parameters.nearSimilarity && result.similarity < 1);
+    assert.deepEqual(result.diff, [
+        { type: 'same', text: 'Vaccines are safe and effective and they' },
+        { type: 'removed', text: 'protect' },
+        { type: 'added', text: 'save' },
+        { type: 'same', text: 'lives every year' }
+    ]);
+});
+
+test('an unrelated quote is not found, and an empty document is unreadable', () => {
+    assert.equal(verifier.verify('The moon landing was staged in a studio', source).status, 'not-found');
+    assert.equal(verifier.verify('', source).status, 'not-found');
+    assert.equal(verifier.verify('Vaccines are safe', null).status, 'unreadable');
+    assert.equal(verifier.verify('Vaccines are safe', '').status, 'unreadable');
+});
+
+test('HTML is reduced to its visible text', () => {
+    const html = '<html><head><style>p { color: red; }</style><script>var quote = "hidden";</script></head>'
+        + '<body><p>Climate change is <b>real</b> &amp; it&#39;s urgent</p></body></html>';
+    const text = verifier.extractText(Buffer.from(html), 'text/html; charset=utf-8');
+
+    assert.ok(!/hidden|color/.test(text));
+    assert.equal(verifier.verify('Climate change is real & it\'s urgent', text).status, 'exact');
+});
+
+test('caption cue numbers and timestamps are dropped from transcripts', () => {
+    const captions = 'WEBVTT\n\n1\n00:00:01.000 --> 00:00:04.000\nWe will follow\n\n2\n00:00:04.000 --> 00:00:06.000\nthe science.\n';
+    const text = verifier.extractText(Buffer.from(captions), 'text/vtt');
+
+    assert.equal(verifier.words(text).map(word => word.key).join(' '), 'we will follow the science');
+});
+
+test('text is read from compressed PDF content streams', () => {
+    const content = zlib.deflateSync(Buffer.from('BT /F1 12 Tf 72 700 Td (Masks reduce) Tj T* [(trans) -20 (mission) -250 (risk)] TJ ET', 'latin1'));
+    const pdf = Buffer.concat([
+        Buffer.from(`%PDF-1.4\n4 0 obj\n<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+        content,
+        Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+    ]);
+
+    const text = verifier.extractText(pdf, 'application/pdf');
+    assert.equal(verifier.verify('masks reduce transmission risk', text).status, 'exact');
+});
+
+test('unknown formats and PDFs without text cannot be read', () => {
+    assert.equal(verifier.extractText(Buffer.from([0, 1, 2]), 'image/png'), null);
+    assert.equal(verifier.extractText(Buffer.from('%PDF-1.4\n%%EOF\n'), 'application/pdf'), null);
+});
+
+test('the best result across archived documents wins', () => {
+    const result = verifier.verifyAgainst('they save lives every year', [
+        { sha256: 'a', kind: 'pdf', text: null },
+        { sha256: 'b', kind: 'html', text: 'Nothing relevant here.' },
+        { sha256: 'c', kind: 'transcript', text: source }
+    ]);
+
+    assert.equal(result.status, 'exact');
+    assert.equal(result.document, 'c');
+    assert.ok(result.checkedAt);
+    assert.equal(verifier.verifyAgainst('anything', []).status, 'unreadable');
+});
@@ -0,0 +1,88 @@
+/**
+ * Rate Limiter
+ * Science Alignment Scorecard - per-client request limits for the ballot routes
+ *
+ * Node.js only. Counts requests per client IP in fixed windows and passes a
+ * RateLimitedError (429 Too Many Requests, with Retry-After) once a client
+ * is over its limit. Every response carries RateLimit-Limit,
+ * RateLimit-Remaining and RateLimit-Reset headers so well-behaved clients
+ * can slow down first. Behind a proxy (Railway, Heroku...) set TRUST_PROXY
+ * so req.ip is the client rather than the proxy.
+ */
+
+const { RateLimitedError } = require('./api-errors');
+
+class RateLimiter {
+    constructor(options = {}) {
+        this.parameters = {
+            limit: options.limit || 30,                         // Requests allowed per window
+            windowMs: options.windowMs || 15 * 60 * 1000        // Window length
+        };
+
+        this.clients = new Map();       // ip → { count, resetAt }
+        this.stats = { allowed: 0, limited: 0 };
+        this.lastPrune = Date.now();
+    }
+
+    /**
+     * 1. COUNTING
+     * Records one request; returns { allowed, remaining, resetAt }.
+     */
+    hit(key, now = Date.now()) {
+        this.prune(now);
+
+        let client = this.clients.get(key);
+        if (!client || now >= client.resetAt) {
+            client = { count: 0, resetAt: now + this.parameters.windowMs };
+            this.clients.set(key, client);
+        }
+
+        client.count++;
+        const allowed = client.count <= this.parameters.limit;
+        this.stats[allowed ? 'allowed' : 'limited']++;
+
+        return { allowed, remaining: Math.max(0, this.parameters.limit - client.count), resetAt: client.resetAt };
+    }
+
+    // Forgets clients whose window has ended, at most once per window
+    prune(now) {
+        if (now - this.lastPrune < this.parameters.windowMs) return;
+        this.clients.forEach((client, key) => {
+            if (now >= client.resetAt) this.clients.delete(key);
+        });
+        this.lastPrune = now;
+    }
+
+    /**
+     * 2. EXPRESS
+     */
+    middleware() {
+        return (req, res, next) => {
+            const result = this.hit(req.ip);
+            const resetSeconds = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+            res.set({
+                'RateLimit-Limit': String(this.parameters.limit),
+                'RateLimit-Remaining': String(result.remaining),
+                'RateLimit-Reset': String(resetSeconds)
+            });
+
+            if (!result.allowed) {
+                res.set('Retry-After', String(resetSeconds));
+                return next(new RateLimitedError(resetSeconds));
+            }
+            next();
+        };
+    }
+
+    summary() {
+        return {
+            limit: this.parameters.limit,
+            windowMinutes: this.parameters.windowMs / 60000,
+            activeClients: this.clients.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RateLimitedError } = require('./api-errors');
+const RateLimiter = require('./rate-limiter');
+
+test('a client is limited after its allowance and not before', () => {
+    const limiter = new RateLimiter({ limit: 3, windowMs: 1000 });
+
+    assert.deepEqual([1, 2, 3, 4].map(() => limiter.hit('a', 0).allowed), [true, true, true, false]);
+    assert.equal(limiter.hit('a', 0).remaining, 0);
+    assert.deepEqual({ allowed: limiter.stats.allowed, limited: limiter.stats.limited }, { allowed: 3, limited: 2 });
+});
+
+test('clients are counted separately', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+
+    assert.equal(limiter.hit('a', 0).allowed, true);
+    assert.equal(limiter.hit('a', 0).allowed, false);
+    assert.equal(limiter.hit('b', 0).allowed, true);
+});
+
+test('the allowance is restored when the window ends', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 1000 });
+
+    limiter.hit('a', 0);
+    assert.equal(limiter.hit('a', 999).allowed, false);
+
+    const next = limiter.hit('a', 1000);
+    assert.equal(next.allowed, true);
+    assert.equal(next.resetAt, 2000);
+});
+
+test('clients whose window has ended are forgotten', () => {
+    const limiter = new RateLimiter({ limit: 5, windowMs: 1000 });
+    limiter.lastPrune = 0;
+
+    limiter.hit('a', 0);
+    limiter.hit('b', 500);
+    limiter.hit('c', 1200);
+
+    assert.deepEqual([...limiter.clients.keys()], ['b', 'c']);
+    assert.equal(limiter.summary().activeClients, 2);
+});
+
+test('the middleware sets rate-limit headers and passes a 429 error when over the limit', () => {
+    const limiter = new RateLimiter({ limit: 1, windowMs: 60 * 1000 });
+    const middleware = limiter.middleware();
+    const request = { ip: '203.0.113.7' };
+    const call = () => {
+        const headers = {};
+        const response = { set: (name, value) => Object.assign(headers, typeof name === 'string' ? { [name]: value } : name) };
+        let passed;
+        middleware(request, response, error => { passed = error; });
+        return { headers, passed };
+    };
+
+    const first = call();
+    assert.equal(first.passed, undefined);
+    assert.deepEqual(first.headers, { 'RateLimit-Limit': '1', 'RateLimit-Remaining': '0', 'RateLimit-Reset': '60' });
+
+    const second = call();
+    assert.ok(second.passed instanceof RateLimitedError);
+    assert.equal(second.passed.status, 429);
+    assert.equal(second.passed.details.retryAfter, 60);
+    assert.equal(second.headers['Retry-After'], '60');
+});
@@ -0,0 +1,415 @@
+/**
+ * Scorecard Builder
+ * Science Alignment Scorecard - assembles scored entities, leaderboards and election comparisons
+ *
+ * Shared between the browser (loaded before script.js) and the API in
+ * server.js, so a scorecard fetched from /api/entities/:id/scorecard carries
+ * exactly the numbers the page shows for the same weighting, overall and
+ * consensus modes. Holds no data of its own: callers pass consensus topics
+ * and entity records in the format of the JSON data files.
+ */
+
+class ScorecardBuilder {
+    constructor(options = {}) {
+        this.entityModel = options.entityModel;         // EntityModel
+        this.scoring = options.scoring;                 // AlignmentScoring, with posterior model and consensus history
+        this.weighting = options.weighting;             // StatementWeighting
+        this.classifier = options.classifier;           // PatternClassifier
+        this.review = options.review || null;           // Optional StatementReview; unpublished statements are left out
+
+        this.defaults = {
+            weightingStrategy: 'equal',
+            overallMode: 'equal',
+            consensusMode: 'historical'
+        };
+    }
+
+    /**
+     * 1. ENTITY ASSEMBLY
+     * record    - entity with positions keyed by topic id, as in candidate-data.json
+     * consensus - topics keyed by id, as in scientific-consensus.json
+     * Topics without a consensus entry are dropped.
+     */
+    buildEntity(entityId, record, consensus, options = {}) {
+        // Election fields (party, office, state...) are carried over only when the record has them
+        const { positions, ...fields } = this.entityModel.normalize(record, entityId);
+        const entity = { ...fields, topics: [] };
+
+        Object.keys(positions || {}).forEach(topicId => {
+            const consensusTopic = consensus[topicId];
+            if (!consensusTopic) return;
+
+            entity.topics.push(this.scoreTopic(this.buildTopic(topicId, consensusTopic, positions[topicId]), options));
+        });
+
+        return this.classify(entity);
+    }
+
+    buildTopic(topicId, consensusTopic, position = {}) {
+        return {
+            topicId,
+            statement: consensusTopic.statement,
+            consensusPosition: consensusTopic.consensusPosition,
+            consensusWidth: consensusTopic.consensusWidth,
+            consensusInfo: consensusTopic.consensusInfo,
+            consensusHistory: consensusTopic.history || [],
+            candidateStatements: (position.statements || []).filter(statement => !this.review || this.review.isPublished(statement)),
+            candidateMedian: position.candidateMedian,
+            candidateVariability: position.candidateVariability,
+            alignmentScore: position.alignmentScore,
+            dataStatus: position.dataStatus || 'sufficient'
+        };
+    }
+
+    /**
+     * 2. SCORING
+     * Derives the topic's metrics from its statements in place. The values
+     * recorded in the data file are kept on first scoring and compared with
+     * an unweighted rescore; differences end up in scoreDiscrepancies.
+     */
+    scoreTopic(topic, options = {}) {
+        const { weightingStrategy, consensusMode } = { ...this.defaults, ...options };
+
+        if (!topic.recordedValues) {
+            topic.recordedValues = {
+                candidateMedian: topic.candidateMedian,
+                candidateVariability: topic.candidateVariability,
+                alignmentScore: topic.alignmentScore
+            };
+        }
+
+        topic.consensusMode = consensusMode;
+        const weights = this.weighting.weightsFor(topic.candidateStatements, weightingStrategy);
+        const derived = this.scoring.scoreTopic(topic.candidateStatements, topic, weights);
+
+        // Recorded values were entered without weighting, so drift is checked against equal weights
+        const unweighted = weightingStrategy === 'equal'
+            ? derived
+            : this.scoring.scoreTopic(topic.candidateStatements, topic);
+
+        topic.candidateMedian = derived.candidateMedian;
+        topic.candidateVariability = derived.candidateVariability;
+        topic.alignmentScore = derived.alignmentScore;
+        topic.alignmentPosterior = derived.alignmentPosterior;
+        topic.statementWeights = weights;
+        topic.scoringStrategy = weightingStrategy;
+        topic.scoreDiscrepancies = this.scoring.findDiscrepancies(topic.recordedValues, unweighted);
+        if (derived.statementCount === 0) {
+            topic.dataStatus = 'insufficient';
+        }
+
+        return topic;
+    }
+
+    rescoreEntity(entity, options = {}) {
+        entity.topics.forEach(topic => this.scoreTopic(topic, options));
+        return this.classify(entity);
+    }
+
+    classify(entity) {
+        const classification = this.classifier.classify(entity.topics);
+        entity.overallPattern = classification.pattern;
+        entity.patternDescription = classification.description;
+        entity.patternEvidence = classification.evidence;
+        return entity;
+    }
+
+    // Posterior of the overall score: topic posteriors rolled up with the overall mode's topic weights
+    overallPosterior(entity, overallMode = this.defaults.overallMode) {
+        if (!this.scoring.posteriorModel) return null;
+
+        const scoredTopics = entity.topics
+            .filter(topic => topic.alignmentScore !== null && topic.alignmentScore !== undefined && topic.alignmentPosterior);
+
+        return this.scoring.posteriorModel.rollUp(
+            scoredTopics.map(topic => topic.alignmentPosterior),
+            scoredTopics.map(topic => this.scoring.topicWeight(topic, overallMode))
+        );
+    }
+
+    /**
+     * 3. ELECTIONS
+     * Entities with an office are grouped by state and office. Corporations,
+     * NGOs, commentators and entities without an office are in no election.
+     * Entities without a state are grouped by office alone.
+     */
+    electionKey(entity) {
+        return [entity.state, entity.office].filter(part => part).join('_');
+    }
+
+    elections(entities) {
+        const elections = new Map();
+
+        entities.forEach(entity => {
+            if (!this.entityModel.hasElection(entity)) return;
+
+            const key = this.electionKey(entity);
+            if (!elections.has(key)) {
+                elections.set(key, {
+                    key,
+                    name: `${[entity.state, entity.office].filter(part => part).join(' ')}${entity.district ? ` - ${entity.district}` : ''}`,
+                    candidates: []
+                });
+            }
+            elections.get(key).candidates.push(entity);
+        });
+
+        return Array.from(elections.values());
+    }
+
+    /**
+     * 4. SUMMARIES
+     * Plain JSON views of scored entities, for the API.
+     */
+    summarizeTopic(topic) {
+        const posterior = topic.alignmentPosterior;
+
+        return {
+            topicId: topic.topicId,
+            statement: topic.statement,
+            alignmentScore: topic.alignmentScore,
+            interval: posterior ? this.interval(posterior) : null,
+            candidateMedian: topic.candidateMedian,
+            candidateVariability: topic.candidateVariability,
+            statementCount: topic.candidateStatements.length,
+            effectiveStatementCount: posterior ? this.round(posterior.effectiveCount, 2) : null,
+            consensusPosition: topic.consensusPosition,
+            consensusWidth: topic.consensusWidth,
+            evidenceLevel: topic.consensusInfo ? topic.consensusInfo.evidenceLevel || null : null,
+            dataStatus: topic.dataStatus
+        };
+    }
+
+    summarizeEntity(entity, options = {}) {
+        const { weightingStrategy, overallMode, consensusMode } = { ...this.defaults, ...options };
+        const overall = this.scoring.overallScore(entity.topics, overallMode);
+        const posterior = this.overallPosterior(entity, overallMode);
+
+        return {
+            id: entity.id,
+            name: entity.name,
+            entityType: entity.entityType,
+            typeLabel: this.entityModel.typeLabel(entity),
+            subtitle: this.entityModel.subtitle(entity),
+            party: entity.party || null,
+            office: entity.office || null,
+            state: entity.state || null,
+            overall: {
+                score: overall.score !== null ? Math.round(overall.score) : null,
+                interval: posterior ? this.interval(posterior) : null,
+                scoredTopics: overall.contributions.length,
+                totalTopics: entity.topics.length,
+                contributions: overall.contributions.map(entry => ({
+                    statement: entry.statement,
+                    share: this.round(entry.share, 3),
+                    contribution: this.round(entry.contribution, 1)
+                }))
+            },
+            pattern: {
+                id: entity.overallPattern,
+                label: this.classifier.labels[entity.overallPattern],
+                description: entity.patternDescription
+            },
+            topics: entity.topics.map(topic => this.summarizeTopic(topic)),
+            options: { weightingStrategy, overallMode, consensusMode }
+        };
+    }
+
+    // Every entity with a statement on the topic, best aligned first; unscored entries last
+    leaderboard(entities, topicId) {
+        const entries = [];
+
+        entities.forEach(entity => {
+            const topic = entity.topics.find(entry => entry.topicId === topicId);
+            if (!topic) return;
+
+            entries.push({
+                entityId: entity.id,
+                name: entity.name,
+                entityType: entity.entityType,
+                affiliation: this.entityModel.affiliationLabel(entity),
+                ...this.summarizeTopic(topic)
+            });
+        });
+
+        const rank = entry => entry.alignmentScore === null ? -1 : entry.alignmentScore;
+        entries.sort((a, b) => rank(b) - rank(a) || a.name.localeCompare(b.name));
+
+        let position = 0;
+        return entries.map(entry => ({ rank: entry.alignmentScore === null ? null : ++position, ...entry }));
+    }
+
+    // Topic-by-candidate grid of one election, in the layout of the comparison table
+    comparison(election, options = {}) {
+        const topics = [];
+        election.candidates.forEach(candidate => {
+            candidate.topics.forEach(topic => {
+                if (!topics.some(entry => entry.topicId === topic.topicId)) {
+                    topics.push({ topicId: topic.topicId, statement: topic.statement });
+                }
+            });
+        });
+
+        return {
+            key: election.key,
+            name: election.name,
+            candidates: election.candidates.map(candidate => {
+                const summary = this.summarizeEntity(candidate, options);
+                return {
+                    id: summary.id,
+                    name: summary.name,
+                    affiliation: this.entityModel.affiliationLabel(candidate),
+                    overall: summary.overall.score,
+                    interval: summary.overall.interval,
+                    pattern: summary.pattern.id
+                };
+            }),
+            topics: topics.map(entry => ({
+                ...entry,
+                scores: election.candidates.map(candidate => {
+                    const topic = candidate.topics.find(t => t.topicId === entry.topicId);
+                    return topic ? this.summarizeTopic(topic) : null;
+                })
+            }))
+        };
+    }
+
+    /**
+     * 5. HEAD-TO-HEAD
+     * Compares 2-4 entities topic by topic against the first (the reference).
+     * A difference is the other entity's alignment minus the reference's,
+     * with a credible interval treating the two posteriors as independent.
+     * Each statement's contribution to a difference is its weight share times
+     * its alignment's distance from the midpoint of the two scores, signed so
+     * the contributions of both sides sum to the difference (before the
+     * prior's shrinkage); drivers are the largest ones in its direction.
+     */
+    headToHead(entities, options = {}) {
+        const { overallMode, driverCount } = { overallMode: this.defaults.overallMode, driverCount: 3, ...options };
+        const [reference, ...others] = entities;
+
+        const topics = [];
+        entities.forEach(entity => {
+            entity.topics.forEach(topic => {
+                if (!topics.some(entry => entry.topicId === topic.topicId)) {
+                    topics.push({ topicId: topic.topicId, statement: topic.statement });
+                }
+            });
+        });
+
+        const referencePosterior = this.overallPosterior(reference, overallMode);
+
+        return {
+            reference: reference.id,
+            entities: entities.map(entity => {
+                const summary = this.summarizeEntity(entity, options);
+                return {
+                    id: summary.id,
+                    name: summary.name,
+                    affiliation: this.entityModel.affiliationLabel(entity),
+                    overall: summary.overall.score,
+                    interval: summary.overall.interval
+                };
+            }),
+            overallDifferences: others.map(entity => {
+                const posterior = this.overallPosterior(entity, overallMode);
+                return {
+                    entityId: entity.id,
+                    ...(posterior && referencePosterior ? this.differenceSummary(posterior, referencePosterior) : { difference: null, interval: null, clear: false })
+                };
+            }),
+            topics: topics.map(entry => {
+                const entityTopics = entities.map(entity => entity.topics.find(topic => topic.topicId === entry.topicId) || null);
+                const consensusTopic = entityTopics.find(topic => topic);
+
+                return {
+                    ...entry,
+                    consensusPosition: consensusTopic.consensusPosition,
+                    consensusWidth: consensusTopic.consensusWidth,
+                    scores: entityTopics.map(topic => topic ? this.summarizeTopic(topic) : null),
+                    differences: others.map((entity, i) => ({
+                        entityId: entity.id,
+                        ...this.topicDifference(reference, entityTopics[0], entity, entityTopics[i + 1], driverCount)
+                    }))
+                };
+            })
+        };
+    }
+
+    topicDifference(reference, referenceTopic, other, otherTopic, driverCount) {
+        const scored = topic => topic && topic.alignmentScore !== null && topic.alignmentScore !== undefined;
+        if (!scored(referenceTopic) || !scored(otherTopic)) {
+            return { difference: null, interval: null, clear: false, drivers: [] };
+        }
+
+        const summary = referenceTopic.alignmentPosterior && otherTopic.alignmentPosterior
+            ? this.differenceSummary(otherTopic.alignmentPosterior, referenceTopic.alignmentPosterior)
+            : { difference: otherTopic.alignmentScore - referenceTopic.alignmentScore, interval: null, clear: false };
+
+        const midpoint = (referenceTopic.alignmentScore + otherTopic.alignmentScore) / 2;
+        const contributions = [
+            ...this.statementContributions(other, otherTopic, midpoint, 1),
+            ...this.statementContributions(reference, referenceTopic, midpoint, -1)
+        ];
+        const direction = summary.difference >= 0 ? 1 : -1;
+
+        return {
+            ...summary,
+            drivers: contributions
+                .filter(entry => entry.contribution * direction > 0)
+                .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+                .slice(0, driverCount)
+        };
+    }
+
+    statementContributions(entity, topic, midpoint, sign) {
+        const weights = topic.statementWeights || topic.candidateStatements.map(() => 1);
+        const scored = topic.candidateStatements
+            .map((statement, index) => ({ statement, weight: weights[index] }))
+            .filter(entry => typeof entry.statement.position === 'number' && !isNaN(entry.statement.position));
+        const totalWeight = scored.reduce((sum, entry) => sum + entry.weight, 0);
+        if (totalWeight === 0) return [];
+
+        return scored.map(entry => {
+            const alignment = this.scoring.alignStatement(entry.statement, topic);
+            return {
+                entityId: entity.id,
+                statement: entry.statement,
+                alignment: Math.round(alignment),
+                contribution: this.round(sign * entry.weight / totalWeight * (alignment - midpoint), 1)
+            };
+        });
+    }
+
+    differenceSummary(posterior, referencePosterior) {
+        const difference = this.scoring.posteriorModel.difference(posterior, referencePosterior);
+        return {
+            difference: Math.round(difference.mean),
+            interval: this.interval(difference),
+            // The interval excludes zero: the data separate the two
+            clear: difference.lower > 0 || difference.upper < 0
+        };
+    }
+
+    interval(posterior) {
+        return {
+            lower: Math.round(posterior.lower),
+            upper: Math.round(posterior.upper),
+            level: posterior.level
+        };
+    }
+
+    round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScorecardBuilder;
+}
+
+if (typeof window !== 'undefined') {
+    window.ScorecardBuilder = ScorecardBuilder;
+}
@@ -0,0 +1,336 @@
+/**
+ * Scorecard Report
+ * Science Alignment Scorecard - PDF scorecard for one public figure or organisation
+ *
+ * Lays out the report with jsPDF: a cover summary, one section per topic
+ * with the consensus-vs-figure distribution drawn as vector shapes, every
+ * statement with its date, source link and context, the consensus sources,
+ * the methodology and the disclaimer. The page passes in the scores and
+ * labels it shows on screen, so the PDF matches the current view.
+ */
+
+class ScorecardReport {
+    constructor(options = {}) {
+        this.jsPDF = options.jsPDF || null;         // jsPDF constructor (window.jspdf.jsPDF in the browser)
+        this.derivation = options.derivation;       // ConsensusDerivation, for source type labels
+
+        // A4 portrait, in millimetres
+        this.page = { width: 210, height: 297, margin: 18 };
+        this.fontSizes = { title: 22, heading: 15, subheading: 11.5, body: 9.5, small: 8 };
+        this.lineHeight = 1.35;
+
+        this.colors = {
+            text: [44, 62, 80],
+            muted: [127, 140, 141],
+            link: [41, 128, 185],
+            track: [236, 240, 241],
+            consensus: [169, 223, 191],     // Light tints of the on-screen band colours
+            figure: [174, 214, 241],
+            point: [44, 62, 80],
+            interval: [142, 68, 173]
+        };
+    }
+
+    available() {
+        return typeof this.jsPDF === 'function';
+    }
+
+    /**
+     * 1. REPORT
+     * report - {
+     *   entity,                     scored entity as built by ScorecardBuilder
+     *   typeLabel, subtitle,
+     *   overall: { score, posterior, scoredTopics },
+     *   pattern: { label, description },
+     *   settings: [{ name, label, description }],
+     *   disclaimer,
+     *   generatedAt                 Date
+     * }
+     * Returns the jsPDF document; call save(filename) or output('blob') on it.
+     */
+    build(report) {
+        if (!this.available()) throw new Error('jsPDF is not loaded');
+
+        const doc = new this.jsPDF({ unit: 'mm', format: 'a4' });
+        const state = { doc, y: this.page.margin };
+
+        this.renderCover(state, report);
+        report.entity.topics.forEach((topic, index) => this.renderTopic(state, topic, index + 1));
+        this.renderMethodology(state, report);
+        this.renderDisclaimer(state, report);
+        this.renderPageNumbers(doc, report);
+
+        return doc;
+    }
+
+    renderCover(state, report) {
+        const { entity, overall, pattern } = report;
+
+        this.text(state, 'Science Alignment Report', { size: this.fontSizes.title, style: 'bold' });
+        this.text(state, entity.name, { size: this.fontSizes.heading, style: 'bold' });
+        this.text(state, [report.typeLabel, report.subtitle].filter(Boolean).join(' - '), { color: this.colors.muted });
+        this.text(state, `Generated ${report.generatedAt.toISOString().slice(0, 10)}`, { color: this.colors.muted, size: this.fontSizes.small });
+        this.gap(state, 6);
+
+        this.text(state, `Overall alignment: ${overall.score !== null ? `${Math.round(overall.score)}/100` : 'not enough data'}`, {
+            size: this.fontSizes.heading, style: 'bold', color: this.scoreColor(overall.score)
+        });
+        if (overall.posterior) {
+            this.text(state, `${Math.round(overall.posterior.level * 100)}% credible interval: ${this.formatInterval(overall.posterior)}`);
+        }
+        this.text(state, `${overall.scoredTopics} of ${entity.topics.length} topics scored; ${this.statementCount(entity)} statements`);
+        this.text(state, `Pattern: ${pattern.label}${pattern.description ? ` - ${pattern.description}` : ''}`);
+        this.gap(state, 4);
+
+        this.text(state, 'Topic summary', { size: this.fontSizes.subheading, style: 'bold' });
+        entity.topics.forEach(topic => {
+            const score = this.hasScore(topic) ? `${Math.round(topic.alignmentScore)}` : 'n/a';
+            this.text(state, `${score.padStart(3)}   ${topic.statement}`, { indent: 2 });
+        });
+        this.gap(state, 4);
+
+        this.text(state, 'Settings', { size: this.fontSizes.subheading, style: 'bold' });
+        report.settings.forEach(setting => this.text(state, `${setting.name}: ${setting.label}`, { indent: 2 }));
+    }
+
+    /**
+     * 2. TOPIC SECTIONS
+     * Each topic starts on a new page: heading, metrics, the distribution
+     * graphic, the statements and the consensus sources.
+     */
+    renderTopic(state, topic, number) {
+        this.newPage(state);
+
+        this.text(state, `${number}. ${topic.statement}`, { size: this.fontSizes.heading, style: 'bold' });
+        this.text(state, this.hasScore(topic) ? `Alignment ${Math.round(topic.alignmentScore)}/100` : 'Alignment: no scored statements', {
+            size: this.fontSizes.subheading, style: 'bold', color: this.scoreColor(this.hasScore(topic) ? topic.alignmentScore : null)
+        });
+
+        const figure = topic.candidateMedian !== null && topic.candidateMedian !== undefined
+            ? `median ${topic.candidateMedian}${topic.candidateVariability !== null ? ` ± ${topic.candidateVariability}` : ''}`
+            : 'no data';
+        this.text(state, `Scientific consensus ${topic.consensusPosition} ± ${topic.consensusWidth / 2}; public figure ${figure}`);
+        if (topic.alignmentPosterior) {
+            this.text(state, `${Math.round(topic.alignmentPosterior.level * 100)}% credible interval ${this.formatInterval(topic.alignmentPosterior)}`, {
+                color: this.colors.muted
+            });
+        }
+        this.gap(state, 3);
+
+        this.renderDistribution(state, topic);
+        this.renderStatements(state, topic);
+        this.renderConsensusSources(state, topic);
+    }
+
+    // Consensus band, figure band, one dot per statement and the credible interval, on the 0-100 scale
+    renderDistribution(state, topic) {
+        const { doc } = state;
+        const left = this.page.margin;
+        const width = this.page.width - 2 * this.page.margin;
+        const x = position => left + (Math.max(0, Math.min(100, position)) / 100) * width;
+        const track = { height: 12 };
+
+        this.ensureSpace(state, track.height + 22);
+        const top = state.y;
+
+        doc.setFillColor(...this.colors.track);
+        doc.rect(left, top, width, track.height, 'F');
+
+        const consensusFrom = topic.consensusPosition - topic.consensusWidth / 2;
+        doc.setFillColor(...this.colors.consensus);
+        doc.rect(x(consensusFrom), top, Math.max(0.6, x(consensusFrom + topic.consensusWidth) - x(consensusFrom)), track.height, 'F');
+
+        if (topic.candidateMedian !== null && topic.candidateMedian !== undefined) {
+            const spread = topic.candidateVariability || 0;
+            doc.setFillColor(...this.colors.figure);
+            doc.rect(x(topic.candidateMedian - spread), top + track.height * 0.25,
+                Math.max(0.6, x(topic.candidateMedian + spread) - x(topic.candidateMedian - spread)), track.height * 0.5, 'F');
+        }
+
+        doc.setFillColor(...this.colors.point);
+        topic.candidateStatements
+            .filter(statement => typeof statement.position === 'number' && !isNaN(statement.position))
+            .forEach(statement => doc.circle(x(statement.position), top + track.height / 2, 0.9, 'F'));
+
+        let y = top + track.height + 3;
+        if (topic.alignmentPosterior) {
+            doc.setFillColor(...this.colors.interval);
+            doc.rect(x(topic.alignmentPosterior.lower), y, Math.max(0.6, x(topic.alignmentPosterior.upper) - x(topic.alignmentPosterior.lower)), 1.5, 'F');
+            y += 1.5;
+        }
+
+        doc.setFontSize(this.fontSizes.small);
+        doc.setTextColor(...this.colors.muted);
+        doc.setFont('helvetica', 'normal');
+        y += 4;
+        doc.text('Strongly disagree (0)', left, y);
+        doc.text('Neutral (50)', x(50), y, { align: 'center' });
+        doc.text('Strongly agree (100)', left + width, y, { align: 'right' });
+        y += 4;
+        doc.text('Green: scientific consensus range. Blue: public figure range. Dots: statements. Purple: alignment credible interval.', left, y);
+
+        state.y = y + 6;
+    }
+
+    renderStatements(state, topic) {
+        this.text(state, `Statements (${topic.candidateStatements.length})`, { size: this.fontSizes.subheading, style: 'bold' });
+        if (topic.candidateStatements.length === 0) {
+            this.text(state, 'No statements on record.', { color: this.colors.muted });
+        }
+
+        [...topic.candidateStatements]
+            .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+            .forEach(statement => {
+                this.ensureSpace(state, 20);
+                this.text(state, `${statement.date || 'Undated'} - position ${statement.position}${statement.verified === false ? ' - unverified' : ''}`, {
+                    style: 'bold', size: this.fontSizes.small
+                });
+                if (statement.quote) this.text(state, `"${statement.quote}"`, { style: 'italic', indent: 3 });
+                if (statement.context) this.text(state, statement.context, { indent: 3, color: this.colors.muted });
+
+                const url = statement.sourceUrl || statement.url;
+                this.text(state, `Source: ${statement.source || 'not recorded'}`, { indent: 3, size: this.fontSizes.small });
+                if (url) this.text(state, url, { indent: 3, size: this.fontSizes.small, url });
+                this.gap(state, 2);
+            });
+    }
+
+    renderConsensusSources(state, topic) {
+        const info = topic.consensusInfo || {};
+        const sources = info.sources || [];
+
+        this.gap(state, 2);
+        this.text(state, 'Consensus sources', { size: this.fontSizes.subheading, style: 'bold' });
+        if (sources.length === 0) this.text(state, 'No sources recorded.', { color: this.colors.muted });
+
+        sources.forEach(source => {
+            if (typeof source !== 'object') {
+                this.text(state, `- ${source}`, { indent: 2 });
+                return;
+            }
+            const size = source.sampleSize ? `n = ${source.sampleSize}` : source.authorCount ? `${source.authorCount} authors` : '';
+            const details = [this.derivation ? this.derivation.describeType(source.publicationType) : source.publicationType, source.year, size]
+                .filter(Boolean).join(', ');
+            this.text(state, `- ${source.title} (${source.organisation || 'unknown organisation'}; ${details})`, { indent: 2 });
+            if (source.url) this.text(state, source.url, { indent: 5, size: this.fontSizes.small, url: source.url });
+        });
+        if (info.summary) this.text(state, info.summary, { color: this.colors.muted });
+    }
+
+    /**
+     * 3. METHODOLOGY AND DISCLAIMER
+     */
+    renderMethodology(state, report) {
+        this.newPage(state);
+        this.text(state, 'Methodology', { size: this.fontSizes.heading, style: 'bold' });
+        this.text(state, 'Each statement is placed on a 0-100 scale from strongly disagreeing to strongly agreeing with the topic claim, '
+            + 'and scored by its distance from the scientific consensus range set by the consensus baseline below. Topic scores are the '
+            + 'posterior mean of a Bayesian model over the weighted statement alignments; the credible interval narrows as more, and '
+            + 'more heavily weighted, statements are scored. The overall score combines topic scores as set below. Consensus ranges '
+            + 'are derived from the listed sources, weighted by publication type, size and recency.');
+        this.gap(state, 3);
+
+        report.settings.forEach(setting => {
+            this.text(state, `${setting.name}: ${setting.label}`, { style: 'bold' });
+            if (setting.description) this.text(state, setting.description, { indent: 3 });
+        });
+    }
+
+    renderDisclaimer(state, report) {
+        this.gap(state, 8);
+        this.text(state, 'Disclaimer', { size: this.fontSizes.heading, style: 'bold' });
+        this.text(state, report.disclaimer, { color: this.colors.muted });
+    }
+
+    renderPageNumbers(doc, report) {
+        const pages = doc.getNumberOfPages();
+        for (let page = 1; page <= pages; page++) {
+            doc.setPage(page);
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(this.fontSizes.small);
+            doc.setTextColor(...this.colors.muted);
+            doc.text(this.plain(`${report.entity.name} - Science Alignment Report`), this.page.margin, this.page.height - 8);
+            doc.text(`${page} / ${pages}`, this.page.width - this.page.margin, this.page.height - 8, { align: 'right' });
+        }
+    }
+
+    /**
+     * 4. LAYOUT HELPERS
+     * state.y is the top of the next line; text wraps to the page width and
+     * moves to a new page when it runs out of room.
+     */
+    text(state, value, options = {}) {
+        const { doc } = state;
+        const size = options.size || this.fontSizes.body;
+        const indent = options.indent || 0;
+        const lineHeight = size * 0.3528 * this.lineHeight;
+
+        doc.setFont('helvetica', options.style || 'normal');
+        doc.setFontSize(size);
+        doc.setTextColor(...(options.url ? this.colors.link : options.color || this.colors.text));
+
+        const lines = doc.splitTextToSize(this.plain(value), this.page.width - 2 * this.page.margin - indent);
+        lines.forEach(line => {
+            this.ensureSpace(state, lineHeight);
+            const baseline = state.y + size * 0.3528;
+            if (options.url) {
+                doc.textWithLink(line, this.page.margin + indent, baseline, { url: options.url });
+            } else {
+                doc.text(line, this.page.margin + indent, baseline);
+            }
+            state.y += lineHeight;
+        });
+    }
+
+    gap(state, height) {
+        state.y += height;
+    }
+
+    ensureSpace(state, height) {
+        if (state.y + height > this.page.height - this.page.margin) this.newPage(state);
+    }
+
+    newPage(state) {
+        state.doc.addPage();
+        state.y = this.page.margin;
+    }
+
+    // The standard PDF fonts only cover Latin-1: map common typography to it and drop the rest
+    plain(value) {
+        return String(value === null || value === undefined ? '' : value)
+            .replace(/[‘’]/g, "'")
+            .replace(/[“”]/g, '"')
+            .replace(/[–—]/g, '-')
+            .replace(/…/g, '...')
+            .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '');
+    }
+
+    hasScore(topic) {
+        return topic.alignmentScore !== null && topic.alignmentScore !== undefined;
+    }
+
+    statementCount(entity) {
+        return entity.topics.reduce((sum, topic) => sum + topic.candidateStatements.length, 0);
+    }
+
+    formatInterval(posterior) {
+        return `${Math.round(posterior.lower)}-${Math.round(posterior.upper)}`;
+    }
+
+    // Same thresholds as the on-screen score colours
+    scoreColor(score) {
+        if (score === null || score === undefined) return this.colors.muted;
+        if (score >= 80) return [39, 174, 96];
+        if (score >= 60) return [243, 156, 18];
+        return [231, 76, 60];
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScorecardReport;
+}
+
+if (typeof window !== 'undefined') {
+    window.ScorecardReport = ScorecardReport;
+}
@@ -1,12 +1,46 @@
 // Global variables to hold loaded data
-let candidates = {};
+let entities = {};
 let scientificConsensus = {};
 let ballotData = {};
+let datasetMetadata = {};
+
+const entityModel = new EntityModel();
+const ballotMatcher = new BallotMatcher(entityModel);
+const bayesianAlignment = new BayesianAlignment();
+const consensusHistory = new ConsensusHistory();
+const consensusDerivation = new ConsensusDerivation();
+const topicProposals = new TopicProposals(consensusDerivation);
+const alignmentScoring = new AlignmentScoring({ posteriorModel: bayesianAlignment, consensusHistory });
+const statementWeighting = new StatementWeighting();
+const patternClassifier = new PatternClassifier(alignmentScoring);
+const trendEngine = new TrendEngine(alignmentScoring);
+const statementReview = new StatementReview();
+const urlState = new UrlState();
+const scorecardBuilder = new ScorecardBuilder({
+    entityModel,
+    scoring: alignmentScoring,
+    weighting: statementWeighting,
+    classifier: patternClassifier,
+    review: statementReview
+});
+const comparisonGroups = new ComparisonGroups({ builder: scorecardBuilder, matcher: ballotMatcher });
+const statementBrowser = new StatementBrowser({ scoring: alignmentScoring, weighting: statementWeighting });
+const scorecardReport = new ScorecardReport({
+    jsPDF: typeof jspdf !== 'undefined' ? jspdf.jsPDF : null,    // Loaded from the CDN in index.html
+    derivation: consensusDerivation
+});
+let currentWeightingStrategy = 'equal';
+let currentOverallMode = 'equal';
+let currentConsensusMode = 'historical';
+
+// Scorecard API (server.js). Pages served from elsewhere set window.SCORECARD_API_BASE before this script
+const API_BASE_URL = window.SCORECARD_API_BASE
+    || (['localhost', '127.0.0.1'].includes(window.location.hostname) ? 'http://localhost:3001' : null);
 
 // Data loading functions
 async function loadData(dataSource = 'mock') {
     try {
-        // Determine which candidate data file to use
+        // Determine which entity data file to use
         const candidateFile = dataSource === 'real' ? 'candidate-data-real.json' : 'candidate-data.json';
         
         // Load JSON data files
@@ -22,16 +56,17 @@ async function loadData(dataSource = 'mock') {
         }
         
         scientificConsensus = await consensusResponse.json();
-        const candidateData = await candidateResponse.json();
+        const entityData = await candidateResponse.json();
+        datasetMetadata = entityData.metadata || {};
         
-        // Transform candidate data to match expected structure
-        candidates = transformCandidateData(candidateData, scientificConsensus);
+        // Transform entity data to match expected structure
+        entities = transformEntityData(entityData, scientificConsensus);
         
         // Initialize ballot data (this would typically come from an API)
         initializeBallotData();
         
         // Update UI to reflect data source
-        showNotification(`Loaded ${dataSource === 'real' ? 'real' : 'demo'} candidate data successfully`, 'success');
+        showNotification(`Loaded ${dataSource === 'real' ? 'real' : 'demo'} data successfully`, 'success');
         
         return true;
     } catch (error) {
@@ -52,44 +87,67 @@ async function loadData(dataSource = 'mock') {
     }
 }
 
-function transformCandidateData(candidateData, consensusData) {
+function transformEntityData(entityData, consensusData) {
     const transformed = {};
+    const records = entityModel.entitiesOf(entityData);
     
-    Object.keys(candidateData.candidates).forEach(candidateId => {
-        const candidate = candidateData.candidates[candidateId];
-        transformed[candidateId] = {
-            name: candidate.name,
-            party: candidate.party,
-            office: candidate.office,
-            overallPattern: candidate.overallPattern,
-            patternDescription: candidate.patternDescription,
-            topics: []
-        };
+    Object.keys(records).forEach(entityId => {
+        // Election fields (party, office, state...) are carried over only when the record has them
+        const { positions, ...fields } = entityModel.normalize(records[entityId], entityId);
+        transformed[entityId] = { ...fields, topics: [] };
         
         // Transform topics using consensus data
-        Object.keys(candidate.positions).forEach(topicId => {
-            const position = candidate.positions[topicId];
+        Object.keys(positions || {}).forEach(topicId => {
+            const position = positions[topicId];
             const consensusTopic = consensusData.topics[topicId];
             
             if (consensusTopic) {
-                transformed[candidateId].topics.push({
-                    statement: consensusTopic.statement,
-                    consensusPosition: consensusTopic.consensusPosition,
-                    consensusWidth: consensusTopic.consensusWidth,
-                    consensusInfo: consensusTopic.consensusInfo,
-                    candidateStatements: position.statements || [],
-                    candidateMedian: position.candidateMedian,
-                    candidateVariability: position.candidateVariability,
-                    alignmentScore: position.alignmentScore,
-                    dataStatus: position.dataStatus || 'sufficient'
-                });
+                transformed[entityId].topics.push(applyDerivedScores(
+                    scorecardBuilder.buildTopic(topicId, consensusTopic, position),
+                    `${entityId}/${topicId}`
+                ));
             }
         });
+        
+        classifyEntity(transformed[entityId]);
     });
     
     return transformed;
 }
 
+// Replace hand-entered metrics with values derived from the statements,
+// keeping any disagreement so it can be surfaced in the UI
+function applyDerivedScores(topic, label) {
+    const isFirstScoring = !topic.recordedValues;
+    scorecardBuilder.scoreTopic(topic, currentScoringOptions());
+    
+    if (isFirstScoring && topic.scoreDiscrepancies.length > 0) {
+        console.warn(`Recorded values for ${label} disagree with statements:`, topic.scoreDiscrepancies);
+    }
+    
+    return topic;
+}
+
+function currentScoringOptions() {
+    return {
+        weightingStrategy: currentWeightingStrategy,
+        overallMode: currentOverallMode,
+        consensusMode: currentConsensusMode
+    };
+}
+
+function rescoreEntities() {
+    Object.keys(entities).forEach(entityId => {
+        entities[entityId].topics.forEach((topic, index) => applyDerivedScores(topic, `${entityId}/${index}`));
+        classifyEntity(entities[entityId]);
+    });
+}
+
+// Overall pattern and its description are computed from the scored topics, never entered by hand
+function classifyEntity(candidate) {
+    return scorecardBuilder.classify(candidate);
+}
+
 function initializeBallotData() {
     // Initialize mock ballot data (in production, this would come from an API)
     ballotData = {
@@ -119,13 +177,11 @@ function initializeBallotData() {
 
 function loadFallbackData() {
     // Fallback hardcoded data in case JSON files can't be loaded
-    candidates = {
+    entities = {
     candidate1: {
         name: "Dr. Sarah Chen",
         party: "Democratic",
         office: "U.S. Senate",
-        overallPattern: "consistently-right",
-        patternDescription: "High alignment with scientific consensus across most topics.",
         topics: [
             {
                 statement: "Childhood immunization saves lives and prevents serious diseases",
@@ -218,8 +274,6 @@ function loadFallbackData() {
         name: "Rep. Michael Torres",
         party: "Republican",
         office: "U.S. Senate",
-        overallPattern: "inconsistent",
-        patternDescription: "Mixed record with some strong alignments and some significant departures from consensus.",
         topics: [
             {
                 statement: "Childhood immunization saves lives and prevents serious diseases",
@@ -312,8 +366,6 @@ function loadFallbackData() {
         name: "Sen. Rebecca Wallace",
         party: "Republican",
         office: "Governor",
-        overallPattern: "improving",
-        patternDescription: "Generally strong alignment with some evolution toward better scientific positions over time.",
         topics: [
             {
                 statement: "Childhood immunization saves lives and prevents serious diseases",
@@ -406,8 +458,6 @@ function loadFallbackData() {
         name: "Maria Rodriguez",
         party: "Democratic",
         office: "Governor", 
-        overallPattern: "consistently-right",
-        patternDescription: "Strong alignment with scientific consensus across all topics.",
         topics: [
             {
                 statement: "Childhood immunization saves lives and prevents serious diseases",
@@ -470,8 +520,6 @@ function loadFallbackData() {
         name: "James Patterson",
         party: "Republican",
         office: "U.S. House",
-        overallPattern: "consistently-wrong",
-        patternDescription: "Consistently opposes scientific consensus on key issues.",
         topics: [
             {
                 statement: "Childhood immunization saves lives and prevents serious diseases",
@@ -534,8 +582,6 @@ function loadFallbackData() {
         name: "Lisa Thompson",
         party: "Democratic", 
         office: "U.S. House",
-        overallPattern: "improving",
-        patternDescription: "Improving alignment with science over time.",
         topics: [
             {
                 statement: "Childhood immunization saves lives and prevents serious diseases",
@@ -596,43 +642,65 @@ function loadFallbackData() {
     }
 };
     
+    Object.keys(entities).forEach(entityId => {
+        entities[entityId] = entityModel.normalize(entities[entityId], entityId);
+        
+        // Embedded topics have no ids, and the comparison views match topics across entities by id
+        entities[entityId].topics.forEach(topic => {
+            topic.topicId = topic.topicId || topic.statement.toLowerCase().replace(/[^a-z0-9]+/g, '_').slice(0, 40);
+        });
+    });
+    datasetMetadata = {};
+    
+    // Derive metrics from the embedded statements as for the JSON data
+    rescoreEntities();
+    
     // Initialize ballot data for fallback
     initializeBallotData();
 }
 
 let tooltip = null;
 let currentDateFilter = 'all';
-let currentCandidate = null;
+let currentEntity = null;
+let highlightedStatement = null;    // Statement id from a shared link or a click on a statement point
 
 // Advanced Features Functions
 function exportToPDF() {
-    if (!currentCandidate) return;
+    if (!currentEntity) return;
     
-    // In a real implementation, this would generate an actual PDF
-    const candidateData = candidates[currentCandidate];
-    const overallScore = calculateOverallScore(candidateData);
+    if (!scorecardReport.available()) {
+        showNotification('The PDF library did not load. Check your connection and reload the page.', 'error');
+        return;
+    }
     
-    // Simulate PDF generation
-    const pdfContent = `
-        Science Alignment Report
-        Candidate: ${candidateData.name}
-        Overall Score: ${overallScore}/100
-        Pattern: ${getPatternLabel(candidateData.overallPattern)}
-        
-        Generated on: ${new Date().toLocaleDateString()}
-        
-        This report would include detailed analysis of all scientific positions,
-        trend data, and source citations.
-    `;
+    const candidateData = entities[currentEntity];
+    const overall = alignmentScoring.overallScore(candidateData.topics, currentOverallMode);
+    const weighting = statementWeighting.describe(currentWeightingStrategy);
+    const topicWeighting = alignmentScoring.overallModes[currentOverallMode];
+    const baseline = consensusHistory.describe(currentConsensusMode);
     
-    // Create and download a text file (in real app, this would be a PDF)
-    const blob = new Blob([pdfContent], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${candidateData.name.replace(/\s+/g, '_')}_Science_Report.txt`;
-    a.click();
-    URL.revokeObjectURL(url);
+    const doc = scorecardReport.build({
+        entity: candidateData,
+        typeLabel: entityModel.typeLabel(candidateData),
+        subtitle: entityModel.subtitle(candidateData),
+        overall: {
+            score: overall.score,
+            posterior: calculateOverallPosterior(candidateData),
+            scoredTopics: overall.contributions.length
+        },
+        pattern: {
+            label: getPatternLabel(candidateData.overallPattern),
+            description: candidateData.patternDescription
+        },
+        settings: [
+            { name: 'Statement weighting', label: weighting.label, description: weighting.description },
+            { name: 'Topic weighting', label: topicWeighting.label, description: topicWeighting.description },
+            { name: 'Consensus baseline', label: baseline.label, description: baseline.description }
+        ],
+        disclaimer: document.querySelector('.disclaimer-banner p').textContent.trim(),
+        generatedAt: new Date()
+    });
+    doc.save(`${candidateData.name.replace(/\s+/g, '_')}_Science_Report.pdf`);
     
     // Show success message
     showNotification('📄 Report exported successfully!', 'success');
@@ -663,12 +731,8 @@ function subscribeToUpdates() {
 function showShareModal() {
     document.getElementById('shareModal').classList.add('show');
     
-    // Update share link with current candidate
-    if (currentCandidate) {
-        const candidateData = candidates[currentCandidate];
-        const shareUrl = `https://yourusername.github.io/science-alignment-scorecard/candidate/${candidateData.name.toLowerCase().replace(/\s+/g, '-')}`;
-        document.getElementById('shareLink').value = shareUrl;
-    }
+    // The link opens exactly the view on screen
+    document.getElementById('shareLink').value = shareUrl();
 }
 
 function closeShareModal() {
@@ -676,13 +740,13 @@ function closeShareModal() {
 }
 
 function shareViaTwitter() {
-    if (!currentCandidate) return;
+    if (!currentEntity) return;
     
-    const candidateData = candidates[currentCandidate];
+    const candidateData = entities[currentEntity];
     const overallScore = calculateOverallScore(candidateData);
     
     const tweetText = `${candidateData.name} has a ${overallScore}/100 science alignment score. See how your candidates align with scientific consensus at Science Scorecard! 🔬📊`;
-    const tweetUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(tweetText)}`;
+    const tweetUrl = `https://twitter.com/intent/tweet?text=${encodeURIComponent(tweetText)}&url=${encodeURIComponent(shareUrl())}`;
     
     window.open(tweetUrl, '_blank');
     closeShareModal();
@@ -696,9 +760,9 @@ function shareViaFacebook() {
 }
 
 function shareViaLinkedIn() {
-    if (!currentCandidate) return;
+    if (!currentEntity) return;
     
-    const candidateData = candidates[currentCandidate];
+    const candidateData = entities[currentEntity];
     const shareUrl = document.getElementById('shareLink').value;
     const title = `Science Alignment Analysis: ${candidateData.name}`;
     const summary = `See how ${candidateData.name} aligns with scientific consensus on key issues.`;
@@ -919,40 +983,97 @@ function initializeAutocomplete() {
 }
 
 // Candidate Comparison Functions
-function getElectionsFromCandidates() {
-    const elections = new Map();
-    
-    Object.values(candidates).forEach(candidate => {
-        const electionKey = `${candidate.state}_${candidate.office}`;
-        const electionName = `${candidate.state} ${candidate.office}${candidate.district ? ` - ${candidate.district}` : ''}`;
-        
-        if (!elections.has(electionKey)) {
-            elections.set(electionKey, {
-                key: electionKey,
-                name: electionName,
-                candidates: []
-            });
-        }
-        elections.get(electionKey).candidates.push(candidate);
-    });
-    
-    return Array.from(elections.values());
+// Dataset elections, state-and-office elections and the user's own groups, all in the election selector
+function getComparisonGroups() {
+    return comparisonGroups.groups(Object.values(entities), datasetMetadata, loadComparisonGroups());
 }
 
 function populateElectionSelector() {
     const selector = document.getElementById('electionSelect');
-    selector.innerHTML = '<option value="">Choose an election...</option>';
+    selector.innerHTML = '<option value="">Choose an election or group...</option>';
     
-    const elections = getElectionsFromCandidates();
+    const groups = getComparisonGroups();
     
-    elections.forEach(election => {
-        const option = document.createElement('option');
-        option.value = election.key;
-        option.textContent = election.name;
-        selector.appendChild(option);
+    Object.keys(comparisonGroups.kinds).forEach(kind => {
+        const ofKind = groups.filter(group => group.kind === kind);
+        if (ofKind.length === 0) return;
+        
+        const optgroup = document.createElement('optgroup');
+        optgroup.label = comparisonGroups.kinds[kind].label;
+        ofKind.forEach(group => {
+            const option = document.createElement('option');
+            option.value = group.key;
+            option.textContent = group.name;
+            optgroup.appendChild(option);
+        });
+        selector.appendChild(optgroup);
     });
 }
 
+// Custom comparison groups are kept in localStorage, like topic proposals
+const GROUPS_STORAGE_KEY = 'scienceScorecard.comparisonGroups';
+
+function loadComparisonGroups() {
+    try {
+        return JSON.parse(localStorage.getItem(GROUPS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved comparison groups:', error);
+        return [];
+    }
+}
+
+function saveComparisonGroups(groups) {
+    try {
+        localStorage.setItem(GROUPS_STORAGE_KEY, JSON.stringify(groups));
+    } catch (error) {
+        console.warn('Could not save comparison groups:', error);
+    }
+}
+
+function populateGroupEditor() {
+    document.getElementById('groupMembers').innerHTML = Object.keys(entities).map(entityId => `
+        <label class="group-member">
+            <input type="checkbox" value="${escapeHtml(entityId)}">
+            ${escapeHtml(entities[entityId].name)}
+            <span class="candidate-party">(${escapeHtml(entityModel.affiliationLabel(entities[entityId]))})</span>
+        </label>
+    `).join('');
+}
+
+function saveComparisonGroup() {
+    const entityList = Object.values(entities);
+    const proposed = {
+        name: document.getElementById('groupName').value,
+        entityIds: [...document.querySelectorAll('#groupMembers input:checked')].map(input => input.value)
+    };
+    
+    const errors = comparisonGroups.validate(proposed, entityList);
+    if (errors.length > 0) {
+        showNotification(errors.join('. '), 'error');
+        return;
+    }
+    
+    const group = comparisonGroups.createGroup(proposed, entityList);
+    saveComparisonGroups([...loadComparisonGroups(), group]);
+    
+    document.getElementById('groupName').value = '';
+    document.querySelectorAll('#groupMembers input:checked').forEach(input => { input.checked = false; });
+    document.getElementById('groupEditor').open = false;
+    
+    populateElectionSelector();
+    document.getElementById('electionSelect').value = group.key;
+    switchElection();
+    showNotification(`👥 Saved group "${group.name}"`, 'success');
+}
+
+function deleteComparisonGroup() {
+    const key = document.getElementById('electionSelect').value;
+    saveComparisonGroups(loadComparisonGroups().filter(group => group.key !== key));
+    
+    populateElectionSelector();
+    renderComparison();
+}
+
 function getScoreClass(score) {
     if (score >= 80) return 'score-high';
     if (score >= 40) return 'score-medium';
@@ -967,7 +1088,7 @@ function renderComparisonTable(electionKey) {
         return;
     }
     
-    const elections = getElectionsFromCandidates();
+    const elections = getComparisonGroups();
     const election = elections.find(e => e.key === electionKey);
     
     if (!election || election.candidates.length < 2) {
@@ -990,7 +1111,7 @@ function renderComparisonTable(electionKey) {
     
     // Build comparison table
     let tableHTML = `
-        <h3>🗳️ ${election.name}</h3>
+        <h3>${election.kind === 'custom' ? '👥' : '🗳️'} ${escapeHtml(election.name)}</h3>
         <table class="comparison-table">
             <thead>
                 <tr>
@@ -1001,8 +1122,8 @@ function renderComparisonTable(electionKey) {
     election.candidates.forEach(candidate => {
         tableHTML += `
             <th class="candidate-header">
-                ${candidate.name}
-                <div class="candidate-party">(${candidate.party})</div>
+                ${escapeHtml(candidate.name)}
+                <div class="candidate-party">(${escapeHtml(entityModel.affiliationLabel(candidate))})</div>
             </th>
         `;
     });
@@ -1011,19 +1132,22 @@ function renderComparisonTable(electionKey) {
     
     // Add rows for each topic
     Array.from(allTopics).forEach(topicStatement => {
-        tableHTML += `<tr><td class="topic-name">${topicStatement}</td>`;
+        tableHTML += `<tr><td class="topic-name">${escapeHtml(topicStatement)}</td>`;
         
         election.candidates.forEach(candidate => {
             const topic = candidate.topics.find(t => t.statement === topicStatement);
             
-            if (topic) {
-                const score = topic.alignmentScore || topic.candidateMedian || 0;
-                const scoreClass = getScoreClass(score);
+            // A topic without scorable statements has no alignment; its median position is a different metric
+            if (topic && topic.alignmentScore !== null && topic.alignmentScore !== undefined) {
+                const scoreClass = getScoreClass(topic.alignmentScore);
                 tableHTML += `
                     <td class="score-cell">
-                        <span class="score-badge ${scoreClass}">${score}</span>
+                        <span class="score-badge ${scoreClass}">${topic.alignmentScore}</span>
+                        ${topic.alignmentPosterior ? `<div class="score-interval">${formatInterval(topic.alignmentPosterior)}</div>` : ''}
                     </td>
                 `;
+            } else if (topic) {
+                tableHTML += '<td class="score-cell" title="Not enough statements to score">n/a</td>';
             } else {
                 tableHTML += '<td class="score-cell">—</td>';
             }
@@ -1036,9 +1160,205 @@ function renderComparisonTable(electionKey) {
     container.innerHTML = tableHTML;
 }
 
+// Picking an election fills the head-to-head with its candidates
 function switchElection() {
     const selectedElection = document.getElementById('electionSelect').value;
-    renderComparisonTable(selectedElection);
+    const election = getComparisonGroups().find(e => e.key === selectedElection);
+    if (election) {
+        comparedEntities = election.candidates.slice(0, MAX_COMPARED).map(candidate => candidate.id);
+        syncComparePicker();
+    }
+    renderComparison();
+}
+
+// Re-renders the comparison tab after the election, the compared entities or the scoring options change
+function renderComparison() {
+    const selectedKey = document.getElementById('electionSelect').value;
+    const selectedGroup = getComparisonGroups().find(group => group.key === selectedKey);
+    document.getElementById('deleteGroupButton').hidden = !selectedGroup || selectedGroup.kind !== 'custom';
+    
+    renderComparisonTable(selectedKey);
+    renderHeadToHead();
+    updateUrl();
+}
+
+// Head-to-head: any 2-4 entities compared topic by topic against the first one picked
+const compareColors = ['#3498db', '#e67e22', '#9b59b6', '#16a085'];
+const MAX_COMPARED = 4;
+let comparedEntities = [];
+
+function populateComparePicker() {
+    const picker = document.getElementById('comparePicker');
+    picker.innerHTML = '';
+    
+    for (let i = 0; i < MAX_COMPARED; i++) {
+        const select = document.createElement('select');
+        select.className = 'compare-select';
+        select.style.borderColor = compareColors[i];
+        select.setAttribute('aria-label', `Compared entity ${i + 1}`);
+        select.innerHTML = `<option value="">${i < 2 ? 'Choose...' : '(optional)'}</option>`;
+        appendEntityOptions(select);
+        select.addEventListener('change', updateComparedEntities);
+        picker.appendChild(select);
+    }
+    syncComparePicker();
+}
+
+function syncComparePicker() {
+    document.querySelectorAll('#comparePicker .compare-select').forEach((select, i) => {
+        select.value = comparedEntities[i] || '';
+    });
+}
+
+function updateComparedEntities() {
+    setComparedEntities([...document.querySelectorAll('#comparePicker .compare-select')].map(select => select.value));
+}
+
+function setComparedEntities(ids) {
+    comparedEntities = validComparedEntities(ids);
+    syncComparePicker();
+    renderHeadToHead();
+    updateUrl();
+}
+
+// Drops empty picks, repeats and ids the loaded data does not have
+function validComparedEntities(ids) {
+    return ids
+        .filter((id, index) => id && entities[id] && ids.indexOf(id) === index)
+        .slice(0, MAX_COMPARED);
+}
+
+function renderHeadToHead() {
+    const container = document.getElementById('headToHeadContainer');
+    const ids = comparedEntities.filter(id => entities[id]);
+    
+    if (ids.length < 2) {
+        container.innerHTML = '<div class="no-election-selected">Pick two to four public figures or organisations to compare them topic by topic.</div>';
+        return;
+    }
+    
+    const comparison = scorecardBuilder.headToHead(ids.map(id => entities[id]), currentScoringOptions());
+    const reference = comparison.entities[0];
+    
+    container.innerHTML = `
+        <h3>🆚 ${comparison.entities.map(entity => escapeHtml(entity.name)).join(' vs ')}</h3>
+        <p class="h2h-note">Differences are against ${escapeHtml(reference.name)}, the first pick, with their ${Math.round(bayesianAlignment.credibleLevel * 100)}% credible interval.</p>
+        <div class="h2h-entities">
+            ${comparison.entities.map((entity, i) => `
+                <div class="h2h-entity" style="border-color: ${compareColors[i]}">
+                    <div class="h2h-entity-name">${escapeHtml(entity.name)}</div>
+                    <div class="candidate-party">(${escapeHtml(entity.affiliation)})</div>
+                    ${entity.overall !== null
+                        ? `<span class="score-badge ${getScoreClass(entity.overall)}">${entity.overall}</span>`
+                        : '<span class="h2h-unscored">Not scored</span>'}
+                    ${entity.interval ? `<div class="score-interval">${formatInterval(entity.interval)}</div>` : ''}
+                    ${i === 0
+                        ? '<div class="h2h-reference">Reference</div>'
+                        : renderScoreDifference(comparison.overallDifferences[i - 1])}
+                </div>
+            `).join('')}
+        </div>
+        ${comparison.topics.map(topic => renderHeadToHeadTopic(topic, ids, reference)).join('')}
+    `;
+    
+    container.querySelectorAll('.h2h-point').forEach(point => {
+        point.addEventListener('mouseenter', (e) => {
+            const entityId = point.dataset.entity;
+            const topic = entities[entityId].topics.find(t => t.topicId === point.dataset.topic);
+            const index = Number(point.dataset.statement);
+            const stmt = topic.candidateStatements[index];
+            const weights = topic.statementWeights || topic.candidateStatements.map(() => 1);
+            showTooltip(e, `<p><strong>${escapeHtml(entities[entityId].name)}</strong></p>` +
+                renderStatementTooltip(topic, stmt, weights[index], point.classList.contains('filtered-out'), entityId));
+            loadVerificationBadge(stmt, entityId);
+        });
+        point.addEventListener('mouseleave', hideTooltip);
+    });
+}
+
+// One topic: every entity's statements on its own lane over the consensus band, then the differences and what drives them
+function renderHeadToHeadTopic(topic, ids, reference) {
+    const consensusLeft = Math.max(0, topic.consensusPosition - topic.consensusWidth / 2);
+    const consensusWidth = Math.min(100 - consensusLeft, topic.consensusWidth);
+    
+    const lanes = ids.map((entityId, i) => {
+        const entityTopic = entities[entityId].topics.find(t => t.topicId === topic.topicId);
+        if (!entityTopic) return '';
+        
+        const shown = filterStatementsByDate(entityTopic.candidateStatements, currentDateFilter);
+        return `
+            <div class="h2h-lane" style="top: ${8 + i * 18}px">
+                ${entityTopic.candidateStatements.map((stmt, index) => typeof stmt.position === 'number' ? `
+                    <span class="h2h-point${shown.includes(stmt) ? '' : ' filtered-out'}" style="left: ${stmt.position}%; background: ${compareColors[i]}"
+                          data-entity="${escapeHtml(entityId)}" data-topic="${escapeHtml(topic.topicId)}" data-statement="${index}"></span>` : '').join('')}
+            </div>
+        `;
+    }).join('');
+    
+    return `
+        <div class="h2h-topic">
+            <div class="distribution-title">${escapeHtml(topic.statement)}</div>
+            <div class="h2h-overlay" style="height: ${16 + ids.length * 18}px">
+                <div class="consensus-distribution" style="left: ${consensusLeft}%; width: ${consensusWidth}%" title="Scientific Consensus Range"></div>
+                ${lanes}
+            </div>
+            <div class="scale-labels">
+                <span>Strongly Disagree (0)</span>
+                <span>Neutral (50)</span>
+                <span>Strongly Agree (100)</span>
+            </div>
+            <div class="h2h-scores">
+                ${topic.scores.map((score, i) => `
+                    <span class="h2h-score">
+                        <span class="timeline-swatch" style="background: ${compareColors[i]}"></span>
+                        ${escapeHtml(entities[ids[i]].name)}:
+                        ${score && score.alignmentScore !== null
+                            ? `<strong>${score.alignmentScore}</strong>${score.interval ? ` (${formatInterval(score.interval)})` : ''}`
+                            : `<em>${score ? 'not enough statements' : 'no statements'}</em>`}
+                    </span>
+                `).join('')}
+            </div>
+            ${topic.differences.map(difference => `
+                <div class="h2h-difference">
+                    <div>
+                        ${escapeHtml(entities[difference.entityId].name)} vs ${escapeHtml(reference.name)}:
+                        ${renderScoreDifference(difference)}
+                    </div>
+                    ${difference.drivers.length > 0 ? `
+                        <ul class="h2h-drivers">
+                            ${difference.drivers.map(driver => `
+                                <li>
+                                    <span class="timeline-swatch" style="background: ${compareColors[ids.indexOf(driver.entityId)]}"></span>
+                                    "${escapeHtml(driver.statement.quote)}"
+                                    <span class="h2h-driver-meta">${escapeHtml(entities[driver.entityId].name)}, ${escapeHtml(driver.statement.date || 'undated')}, alignment ${driver.alignment}</span>
+                                    <span class="h2h-contribution">${formatSigned(driver.contribution)}</span>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    ` : ''}
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+function renderScoreDifference(difference) {
+    if (difference.difference === null) {
+        return '<span class="h2h-delta unknown">no comparable score</span>';
+    }
+    
+    const interval = difference.interval
+        ? ` <span class="h2h-interval">(${formatSigned(difference.interval.lower)} to ${formatSigned(difference.interval.upper)})</span>`
+        : '';
+    const direction = difference.difference > 0 ? 'ahead' : difference.difference < 0 ? 'behind' : 'level';
+    return `
+        <span class="h2h-delta ${difference.clear ? direction : 'uncertain'}">${formatSigned(difference.difference)}</span>${interval}
+        ${difference.clear ? '' : '<span class="h2h-uncertain">within uncertainty</span>'}
+    `;
+}
+
+function formatSigned(value) {
+    return value > 0 ? `+${value}` : `${value}`;
 }
 
 function init() {
@@ -1060,6 +1380,8 @@ function switchTab(tabName) {
     document.querySelectorAll('.tab-content').forEach(content => {
         content.classList.toggle('active', content.id === tabName);
     });
+    
+    updateUrl();
 }
 
 function getScoreColor(score) {
@@ -1070,28 +1392,20 @@ function getScoreColor(score) {
 
 function getPatternClass(pattern) {
     const classes = {
-        'consistently-right': 'consistently-right',
-        'consistently-correct': 'consistently-right',
-        'consistently-wrong': 'consistently-wrong', 
-        'inconsistent': 'inconsistent',
-        'improving': 'improving',
-        'declining': 'declining',
+        'consistently-aligned': 'consistently-right',
+        'consistently-misaligned': 'consistently-wrong',
+        'selective': 'selective',
+        'drifting-toward': 'improving',
+        'drifting-away': 'declining',
+        'volatile': 'volatile',
+        'mixed': 'inconsistent',
         'limited-data': 'limited-data'
     };
     return classes[pattern] || 'inconsistent';
 }
 
 function getPatternLabel(pattern) {
-    const labels = {
-        'consistently-right': 'Consistently Aligned',
-        'consistently-correct': 'Consistently Aligned',
-        'consistently-wrong': 'Consistently Misaligned',
-        'inconsistent': 'Inconsistent',
-        'improving': 'Improving',
-        'declining': 'Declining',
-        'limited-data': 'Limited Data'
-    };
-    return labels[pattern] || 'Mixed Record';
+    return patternClassifier.labels[pattern] || 'Mixed Record';
 }
 
 let hideTooltipTimer = null;
@@ -1129,8 +1443,12 @@ function hideTooltip() {
     }, 200);
 }
 
-function filterStatementsByDate(statements, filterType) {
-    if (filterType === 'all') return statements;
+// filterType is a dropdown value ('all', '6months'...) or a range brushed on the timeline: { from, to } as YYYY-MM-DD
+function dateRangeOf(filterType) {
+    if (filterType && typeof filterType === 'object') {
+        return { from: new Date(filterType.from), to: new Date(`${filterType.to}T23:59:59Z`) };
+    }
+    if (filterType === 'all') return { from: null, to: null };
     
     const now = new Date();
     const cutoffDate = new Date();
@@ -1147,7 +1465,17 @@ function filterStatementsByDate(statements, filterType) {
             break;
     }
     
-    return statements.filter(stmt => new Date(stmt.date) >= cutoffDate);
+    return { from: cutoffDate, to: null };
+}
+
+function filterStatementsByDate(statements, filterType) {
+    if (filterType === 'all') return statements;
+    
+    const range = dateRangeOf(filterType);
+    return statements.filter(stmt => {
+        const date = new Date(stmt.date);
+        return (!range.from || date >= range.from) && (!range.to || date <= range.to);
+    });
 }
 
 function renderDistribution(topic, container) {
@@ -1163,7 +1491,7 @@ function renderDistribution(topic, container) {
     distContainer.innerHTML = `
         <div class="distribution-header">
             <div class="distribution-title">Scientific Consensus vs. Candidate Position</div>
-            <div class="consensus-info" data-consensus='${JSON.stringify(topic.consensusInfo)}'>ℹ️ Consensus Sources</div>
+            <div class="consensus-info">ℹ️ Consensus Sources</div>
         </div>
         <div class="distribution-viz">
             <div class="consensus-distribution" style="left: ${consensusLeft}%; width: ${consensusWidth}%" title="Scientific Consensus Range"></div>
@@ -1175,17 +1503,19 @@ function renderDistribution(topic, container) {
             <span>Neutral (50)</span>
             <span>Strongly Agree (100)</span>
         </div>
+        ${renderCredibleInterval(topic.alignmentPosterior, topic.scoringStrategy)}
     `;
     
-    // Add consensus hover
+    // Add consensus hover; source titles and organisations are free text, so they are read from the topic, not the DOM
     const consensusInfo = distContainer.querySelector('.consensus-info');
     consensusInfo.addEventListener('mouseenter', (e) => {
-        const info = JSON.parse(e.target.dataset.consensus);
+        const info = topic.consensusInfo || {};
         const content = `
             <h4>Scientific Consensus (${topic.consensusPosition}%)</h4>
             <p><strong>Sources:</strong></p>
-            <ul>${info.sources.map(source => `<li>${source}</li>`).join('')}</ul>
-            <p><strong>Summary:</strong> ${info.summary}</p>
+            <ul>${renderConsensusSources(topic, info.sources || [])}</ul>
+            <p><strong>Summary:</strong> ${escapeHtml(info.summary || '')}</p>
+            ${renderConsensusHistory(topic)}
         `;
         showTooltip(e, content);
     });
@@ -1198,6 +1528,8 @@ function renderDistribution(topic, container) {
     const filteredStatements = filterStatementsByDate(topic.candidateStatements, currentDateFilter);
     const allStatements = topic.candidateStatements;
     
+    const weights = topic.statementWeights || allStatements.map(() => 1);
+    
     allStatements.forEach((statement, index) => {
         const point = document.createElement('div');
         point.className = 'statement-point';
@@ -1209,26 +1541,177 @@ function renderDistribution(topic, container) {
         if (isFiltered) {
             point.classList.add('filtered-out');
         }
+        if (statement.id && statement.id === highlightedStatement) {
+            point.classList.add('highlighted');
+        }
         
         point.addEventListener('mouseenter', (e) => {
             const stmt = JSON.parse(e.target.dataset.statement);
-            const sourceUrl = stmt.sourceUrl || stmt.url || '#';
-            const content = `
-                <h4>Statement (Score: ${stmt.position})</h4>
-                <div class="quote">"${stmt.quote}"</div>
-                <p><strong>Date:</strong> ${stmt.date}</p>
-                <div class="source"><strong>Source:</strong> <a href="${sourceUrl}" target="_blank" rel="noopener">${stmt.source}</a></div>
-                ${stmt.context ? `<p><strong>Context:</strong> ${stmt.context}</p>` : ''}
-                ${isFiltered ? '<p style="color: #f39c12;"><strong>Filtered out by date range</strong></p>' : ''}
-            `;
-            showTooltip(e, content);
+            showTooltip(e, renderStatementTooltip(topic, stmt, weights[index], isFiltered));
+            loadVerificationBadge(stmt);
         });
         point.addEventListener('mouseleave', hideTooltip);
+        point.addEventListener('click', () => highlightStatement(statement));
         
         pointsContainer.appendChild(point);
     });
 }
 
+// Shared by the distribution bars, the timeline and the head-to-head; entityId defaults to the entity on screen
+function renderStatementTooltip(topic, stmt, weight, isFiltered, entityId) {
+    const sourceUrl = safeHref(stmt.sourceUrl || stmt.url);
+    const strategyLabel = statementWeighting.describe(topic.scoringStrategy).label;
+    
+    return `
+        <h4>Statement (Score: ${stmt.position})</h4>
+        <div class="quote">"${escapeHtml(stmt.quote)}"</div>
+        <p><strong>Date:</strong> ${escapeHtml(stmt.date || 'Undated')}</p>
+        <div class="source"><strong>Source:</strong> <a href="${sourceUrl}" target="_blank" rel="noopener">${escapeHtml(stmt.source || 'Source')}</a>${renderArchiveLink(stmt, entityId)}</div>
+        ${stmt.context ? `<p><strong>Context:</strong> ${escapeHtml(stmt.context)}</p>` : ''}
+        <p><strong>Weight:</strong> ${weight.toFixed(2)} (${strategyLabel}, ${statementWeighting.classifySource(stmt).replace('_', ' ')})</p>
+        ${renderVerificationBadge(stmt)}
+        ${renderStatementConsensus(topic, stmt)}
+        ${isFiltered ? '<p style="color: #f39c12;"><strong>Filtered out by date range</strong></p>' : ''}
+    `;
+}
+
+// Statement ids repeat across the data files, so API lookups also name the entity and dataset
+function statementApiQuery(entityId = currentEntity) {
+    const dataset = document.getElementById('dataSourceFilter').value === 'real' ? 'real' : 'demo';
+    return `entityId=${encodeURIComponent(entityId)}&dataset=${dataset}`;
+}
+
+// Link to the server's archived copy of the source, which survives the original page disappearing
+function renderArchiveLink(stmt, entityId) {
+    if (!API_BASE_URL || !stmt.id) return '';
+    return ` <a class="archive-link" href="${API_BASE_URL}/api/archive/by-statement/${encodeURIComponent(stmt.id)}?${statementApiQuery(entityId)}" target="_blank" rel="noopener">(archived copy)</a>`;
+}
+
+const quoteVerifications = new Map();
+
+// Placeholder filled in by loadVerificationBadge once the server answers
+function renderVerificationBadge(stmt) {
+    if (!API_BASE_URL || !stmt.id) return '';
+    return `<div class="verification-badge pending" data-statement-id="${escapeHtml(stmt.id)}">Checking quote against archived source…</div>`;
+}
+
+async function loadVerificationBadge(stmt, entityId) {
+    if (!API_BASE_URL || !stmt.id) return;
+    
+    const url = `${API_BASE_URL}/api/statements/${encodeURIComponent(stmt.id)}/verification?${statementApiQuery(entityId)}`;
+    if (!quoteVerifications.has(url)) {
+        quoteVerifications.set(url, fetch(url).then(response => response.ok ? response.json() : null));
+    }
+    
+    let verification = null;
+    try {
+        verification = await quoteVerifications.get(url);
+    } catch (error) {
+        quoteVerifications.delete(url);     // API unreachable; try again on the next hover
+    }
+    
+    // The tooltip may have moved on to another statement while the request was out
+    const badge = tooltip.querySelector('.verification-badge');
+    if (!badge || badge.dataset.statementId !== stmt.id) return;
+    
+    if (!verification) {
+        badge.remove();
+        return;
+    }
+    badge.className = `verification-badge verification-${verification.status}`;
+    badge.innerHTML = renderVerificationResult(verification);
+}
+
+function renderVerificationResult(verification) {
+    const labels = {
+        'exact': '✓ Quote matches the archived source',
+        'near': `≈ Near match (${Math.round((verification.similarity || 0) * 100)}% of words)`,
+        'not-found': '✗ Quote not found in the archived source',
+        'unreadable': 'Archived source could not be read',
+        'unchecked': 'Quote not yet checked'
+    };
+    const diff = (verification.diff || []).map(run =>
+        `<span class="diff-${run.type}">${escapeHtml(run.text)}</span>`
+    ).join(' ');
+    
+    return `
+        <span title="${escapeHtml(verification.description || '')}">${labels[verification.status] || verification.status}</span>
+        ${diff ? `<div class="verification-diff">${diff}</div>` : ''}
+    `;
+}
+
+// Alignment against the consensus on the statement's date and against today's, when they differ
+function renderStatementConsensus(topic, stmt) {
+    const atTime = consensusHistory.consensusAt(topic, stmt.date);
+    const current = consensusHistory.current(topic);
+    const alignmentAtTime = alignmentScoring.statementAlignment(stmt.position, atTime.consensusPosition, atTime.consensusWidth);
+    const alignmentNow = alignmentScoring.statementAlignment(stmt.position, current.consensusPosition, current.consensusWidth);
+    
+    if (!atTime.effectiveDate || (atTime.consensusPosition === current.consensusPosition && atTime.consensusWidth === current.consensusWidth)) {
+        return `<p><strong>Alignment:</strong> ${Math.round(alignmentNow)} (consensus ${current.consensusPosition} ± ${current.consensusWidth / 2})</p>`;
+    }
+    
+    return `
+        <p><strong>Alignment at the time:</strong> ${Math.round(alignmentAtTime)} (consensus ${atTime.consensusPosition} ± ${atTime.consensusWidth / 2} since ${atTime.effectiveDate})</p>
+        <p><strong>Alignment with current consensus:</strong> ${Math.round(alignmentNow)} (consensus ${current.consensusPosition} ± ${current.consensusWidth / 2})</p>
+    `;
+}
+
+// Structured sources show their influence weight and share of the consensus; plain strings are listed as is
+function renderConsensusSources(topic, sources) {
+    const derived = consensusDerivation.derive(topic);
+    
+    return sources.map(source => {
+        if (typeof source !== 'object') return `<li>${escapeHtml(source)}</li>`;
+        
+        const weighted = derived && derived.sources.find(entry => entry.title === source.title);
+        const size = source.sampleSize ? `n = ${source.sampleSize.toLocaleString()}` : source.authorCount ? `${source.authorCount} authors` : '';
+        const details = [consensusDerivation.describeType(source.publicationType), source.year, size].filter(Boolean).join(', ');
+        const influence = weighted ? ` — influence ${weighted.influenceWeight.toFixed(2)} (${Math.round(weighted.share * 100)}%)` : '';
+        return `<li>${escapeHtml(source.title)} (${escapeHtml(source.organisation || 'unknown organisation')}; ${details})${influence}</li>`;
+    }).join('');
+}
+
+function renderConsensusHistory(topic) {
+    if (!consensusHistory.hasChanged(topic)) return '';
+    
+    const entries = consensusHistory.entries(topic);
+    return `
+        <p><strong>History:</strong></p>
+        <ul>${entries.map(entry => `<li>${entry.effectiveDate}: ${entry.consensusPosition} ± ${entry.consensusWidth / 2}${entry.trigger ? ` (${entry.trigger})` : ''}</li>`).join('')}</ul>
+    `;
+}
+
+function formatInterval(posterior) {
+    return `${Math.round(posterior.lower)}–${Math.round(posterior.upper)}`;
+}
+
+function formatStatementCount(effectiveCount) {
+    return Number.isInteger(effectiveCount)
+        ? `${effectiveCount} statement${effectiveCount === 1 ? '' : 's'}`
+        : `${effectiveCount.toFixed(1)} effective statements`;
+}
+
+function renderCredibleInterval(posterior, strategy) {
+    if (!posterior) return '';
+    
+    const level = Math.round(posterior.level * 100);
+    const strategyInfo = statementWeighting.describe(strategy);
+    return `
+        <div class="credible-interval" title="Posterior alignment: ${level}% credible interval ${formatInterval(posterior)}">
+            <div class="credible-interval-label">
+                Alignment ${level}% credible interval: <strong>${formatInterval(posterior)}</strong>
+                (posterior mean ${Math.round(posterior.mean)}, ${formatStatementCount(posterior.effectiveCount)})
+                • <span class="scoring-strategy" title="${strategyInfo.description}">${strategyInfo.label}</span>
+            </div>
+            <div class="credible-interval-track">
+                <div class="credible-interval-range" style="left: ${posterior.lower}%; width: ${posterior.upper - posterior.lower}%"></div>
+                <div class="credible-interval-mean" style="left: ${posterior.mean}%"></div>
+            </div>
+        </div>
+    `;
+}
+
 function renderTopics(candidateData) {
     const topicsList = document.getElementById('topicsList');
     topicsList.innerHTML = '';
@@ -1251,7 +1734,7 @@ function renderTopics(candidateData) {
         topicDiv.innerHTML = `
             <div class="topic-header">
                 <div class="topic-statement">${topic.statement}</div>
-                <div class="topic-score" style="background-color: ${scoreColor}">${scoreDisplay}</div>
+                <div class="topic-score" style="background-color: ${scoreColor}" title="${statementWeighting.describe(topic.scoringStrategy).label}">${scoreDisplay}</div>
             </div>
             
             <div class="metrics">
@@ -1272,6 +1755,8 @@ function renderTopics(candidateData) {
                     <span class="metric-value">${statementCount}${currentDateFilter !== 'all' ? `/${topic.candidateStatements.length}` : ''}</span>
                 </div>
             </div>
+            ${renderTopicTrend(trendEngine.topicTrend(topic))}
+            ${renderScoreDiscrepancies(topic)}
         `;
         
         topicsList.appendChild(topicDiv);
@@ -1279,14 +1764,252 @@ function renderTopics(candidateData) {
     });
 }
 
+function describeChangePoint(changePoint) {
+    return `⚡ Stance shift by ${changePoint.date}: position ${Math.round(changePoint.positionBefore)} → ${Math.round(changePoint.positionAfter)} (${changePoint.direction} consensus)`;
+}
+
+function renderTopicTrend(trend) {
+    if (trend.points.length < 2) return '';
+    
+    const rolling = trend.rolling;
+    const smoothed = trend.smoothed[trend.smoothed.length - 1];
+    const windowMonths = Math.round(trendEngine.parameters.rollingWindowDays / 30);
+    
+    return `
+        <div class="topic-trend">
+            <span>Trend (${windowMonths}-month rolling alignment): ${Math.round(rolling[0].value)} → ${Math.round(rolling[rolling.length - 1].value)}</span>
+            <span>Smoothed: ${Math.round(smoothed.value)} as of ${smoothed.date}</span>
+            ${trend.changePoints.map(changePoint => `<div class="change-point ${changePoint.direction}">${describeChangePoint(changePoint)}</div>`).join('')}
+        </div>
+    `;
+}
+
+function renderTrendSummary(candidateData) {
+    const container = document.getElementById('trendSummary');
+    const trend = trendEngine.figureTrend(candidateData.topics);
+    const smoothed = trend.overall.smoothed;
+    
+    if (smoothed.length < 2) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const latest = smoothed[smoothed.length - 1];
+    container.innerHTML = `
+        <div class="contributions-title">Trend</div>
+        <div>Smoothed alignment ${Math.round(smoothed[0].value)} (${smoothed[0].date}) → ${Math.round(latest.value)} (${latest.date})</div>
+        ${trend.changePoints.length > 0
+            ? trend.changePoints.map(changePoint => `<div class="change-point ${changePoint.direction}" title="${changePoint.statement}">${describeChangePoint(changePoint)}</div>`).join('')
+            : '<div>No significant stance shifts detected</div>'}
+    `;
+}
+
+// Timeline: statements by date, topic consensus bands and the rolling alignment, with a brushable date range
+const timelineColors = ['#3498db', '#e67e22', '#9b59b6', '#16a085', '#e74c3c', '#2c3e50', '#d4ac0d', '#7f8c8d'];
+const timelineLayout = { width: 800, height: 260, left: 40, right: 15, top: 15, bottom: 30 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function renderTimeline(candidateData) {
+    const container = document.getElementById('timelinePanel');
+    const trend = trendEngine.figureTrend(candidateData.topics);
+    const points = trend.overall.points;
+    
+    if (points.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const { width, height, left, right, top, bottom } = timelineLayout;
+    const first = points[0].time;
+    const last = points[points.length - 1].time;
+    const padding = Math.max(30 * DAY_MS, (last - first) * 0.03);
+    const domain = { start: first - padding, end: last + padding };
+    const x = time => left + (time - domain.start) / (domain.end - domain.start) * (width - left - right);
+    const y = value => top + (100 - value) / 100 * (height - top - bottom);
+    
+    const bands = candidateData.topics.flatMap((topic, topicIndex) => timelineConsensusBands(topic, domain).map(band => `
+        <rect class="timeline-band" x="${x(band.start)}" y="${y(band.upper)}" width="${x(band.end) - x(band.start)}" height="${y(band.lower) - y(band.upper)}"
+              fill="${timelineColors[topicIndex % timelineColors.length]}"></rect>`));
+    
+    const rolling = trend.overall.rolling;
+    const rollingPath = rolling.length > 1
+        ? `<path class="timeline-rolling" d="${rolling.map((entry, i) => `${i === 0 ? 'M' : 'L'}${x(trendEngine.parseDate(entry.date)).toFixed(1)},${y(entry.value).toFixed(1)}`).join(' ')}"></path>`
+        : '';
+    
+    const dots = trend.topics.flatMap((topicTrend, topicIndex) => {
+        const topic = candidateData.topics[topicIndex];
+        const shown = filterStatementsByDate(topic.candidateStatements, currentDateFilter);
+        return topicTrend.points.map(point => `
+            <circle class="timeline-point${shown.includes(point.statement) ? '' : ' filtered-out'}${point.statement.id && point.statement.id === highlightedStatement ? ' highlighted' : ''}" cx="${x(point.time).toFixed(1)}" cy="${y(point.position).toFixed(1)}" r="5"
+                    fill="${timelineColors[topicIndex % timelineColors.length]}" data-topic="${topicIndex}" data-statement="${topic.candidateStatements.indexOf(point.statement)}"></circle>`);
+    });
+    
+    // The selected range, clipped to the chart; empty when it lies outside it
+    const range = dateRangeOf(currentDateFilter);
+    const selectionStart = currentDateFilter === 'all' ? domain.start : Math.max(range.from ? range.from.getTime() : domain.start, domain.start);
+    const selectionEnd = currentDateFilter === 'all' ? domain.start : Math.min(range.to ? range.to.getTime() : domain.end, domain.end);
+    const selection = timelineSelection(x(selectionStart), x(Math.max(selectionStart, selectionEnd)));
+    
+    const windowMonths = Math.round(trendEngine.parameters.rollingWindowDays / 30);
+    container.innerHTML = `
+        <div class="timeline-header">
+            <div class="distribution-title">Timeline</div>
+            <div class="timeline-hint">
+                Drag across the chart to show statements from that period
+                ${typeof currentDateFilter === 'object' ? '<button class="timeline-clear" type="button">Clear range</button>' : ''}
+            </div>
+        </div>
+        <svg class="timeline-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Statements of ${escapeHtml(candidateData.name)} by date, with consensus ranges and the rolling alignment score">
+            ${[0, 25, 50, 75, 100].map(value => `
+                <line class="timeline-grid" x1="${left}" x2="${width - right}" y1="${y(value)}" y2="${y(value)}"></line>
+                <text class="timeline-axis" x="${left - 6}" y="${y(value) + 4}" text-anchor="end">${value}</text>`).join('')}
+            ${timelineTicks(domain).map(tick => `
+                <line class="timeline-tick" x1="${x(tick.time)}" x2="${x(tick.time)}" y1="${height - bottom}" y2="${height - bottom + 5}"></line>
+                <text class="timeline-axis" x="${x(tick.time)}" y="${height - bottom + 18}" text-anchor="middle">${tick.label}</text>`).join('')}
+            ${bands.join('')}
+            ${rollingPath}
+            <rect class="timeline-brush-area" x="${left}" y="${top}" width="${width - left - right}" height="${height - top - bottom}"></rect>
+            ${selection}
+            ${dots.join('')}
+        </svg>
+        <div class="timeline-legend">
+            ${candidateData.topics.map((topic, topicIndex) => `
+                <span class="timeline-legend-item" title="${escapeHtml(topic.statement)}">
+                    <span class="timeline-swatch" style="background: ${timelineColors[topicIndex % timelineColors.length]}"></span>${escapeHtml(topic.statement)}
+                </span>`).join('')}
+            <span class="timeline-legend-item"><span class="timeline-swatch band"></span>Consensus range (${consensusHistory.describe(currentConsensusMode).label.toLowerCase()})</span>
+            ${rollingPath ? `<span class="timeline-legend-item"><span class="timeline-swatch line"></span>${windowMonths}-month rolling alignment score</span>` : ''}
+        </div>
+    `;
+    
+    container.querySelectorAll('.timeline-point').forEach(dot => {
+        dot.addEventListener('mouseenter', (e) => {
+            const topic = candidateData.topics[Number(dot.dataset.topic)];
+            const index = Number(dot.dataset.statement);
+            const stmt = topic.candidateStatements[index];
+            const weights = topic.statementWeights || topic.candidateStatements.map(() => 1);
+            showTooltip(e, renderStatementTooltip(topic, stmt, weights[index], dot.classList.contains('filtered-out')));
+            loadVerificationBadge(stmt);
+        });
+        dot.addEventListener('mouseleave', hideTooltip);
+        dot.addEventListener('click', () => {
+            const topic = candidateData.topics[Number(dot.dataset.topic)];
+            highlightStatement(topic.candidateStatements[Number(dot.dataset.statement)]);
+        });
+    });
+    
+    const clearButton = container.querySelector('.timeline-clear');
+    if (clearButton) clearButton.addEventListener('click', () => setDateFilter('all'));
+    
+    attachTimelineBrush(container.querySelector('.timeline-chart'), domain);
+}
+
+function timelineSelection(x1, x2) {
+    const { top, bottom, height } = timelineLayout;
+    return `<rect class="timeline-selection" x="${Math.min(x1, x2)}" y="${top}" width="${Math.abs(x2 - x1)}" height="${height - top - bottom}"></rect>`;
+}
+
+// Consensus range of a topic over the chart's dates: one band per history entry, or today's across the chart in current mode
+function timelineConsensusBands(topic, domain) {
+    const entries = currentConsensusMode === 'current' ? [consensusHistory.current(topic)] : consensusHistory.entries(topic);
+    
+    return entries.map((entry, i) => {
+        const next = entries[i + 1];
+        return {
+            // The earliest entry also covers statements made before it took effect
+            start: i === 0 ? domain.start : Math.max(domain.start, new Date(entry.effectiveDate).getTime()),
+            end: next ? Math.min(domain.end, new Date(next.effectiveDate).getTime()) : domain.end,
+            lower: Math.max(0, entry.consensusPosition - entry.consensusWidth / 2),
+            upper: Math.min(100, entry.consensusPosition + entry.consensusWidth / 2)
+        };
+    }).filter(band => band.end > band.start);
+}
+
+// At most about eight month-aligned ticks; labelled by year once they are a year or more apart
+function timelineTicks(domain) {
+    const spanMonths = (domain.end - domain.start) / (30 * DAY_MS);
+    const step = [1, 3, 6, 12, 24, 60].find(months => spanMonths / months <= 8) || 120;
+    const ticks = [];
+    
+    const start = new Date(domain.start);
+    const cursor = new Date(Date.UTC(start.getUTCFullYear(), 0, 1));
+    while (cursor.getTime() <= domain.end) {
+        if (cursor.getTime() >= domain.start) {
+            ticks.push({
+                time: cursor.getTime(),
+                label: step >= 12
+                    ? String(cursor.getUTCFullYear())
+                    : cursor.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' })
+            });
+        }
+        cursor.setUTCMonth(cursor.getUTCMonth() + step);
+    }
+    return ticks;
+}
+
+function attachTimelineBrush(svg, domain) {
+    const { width, left, right } = timelineLayout;
+    const selection = svg.querySelector('.timeline-selection');
+    const toChartX = e => {
+        const rect = svg.getBoundingClientRect();
+        return Math.min(width - right, Math.max(left, (e.clientX - rect.left) / rect.width * width));
+    };
+    const toDate = chartX => new Date(domain.start + (chartX - left) / (width - left - right) * (domain.end - domain.start)).toISOString().slice(0, 10);
+    
+    svg.querySelector('.timeline-brush-area').addEventListener('mousedown', (e) => {
+        e.preventDefault();
+        const startX = toChartX(e);
+        let endX = startX;
+        
+        const move = (moveEvent) => {
+            endX = toChartX(moveEvent);
+            selection.setAttribute('x', Math.min(startX, endX));
+            selection.setAttribute('width', Math.abs(endX - startX));
+        };
+        const up = () => {
+            window.removeEventListener('mousemove', move);
+            window.removeEventListener('mouseup', up);
+            // A click without a drag leaves the range as it was
+            if (Math.abs(endX - startX) < 4) {
+                renderTimeline(entities[currentEntity]);
+                return;
+            }
+            setDateFilter({ from: toDate(Math.min(startX, endX)), to: toDate(Math.max(startX, endX)) });
+        };
+        
+        window.addEventListener('mousemove', move);
+        window.addEventListener('mouseup', up);
+    });
+}
+
+function renderScoreDiscrepancies(topic) {
+    if (!topic.scoreDiscrepancies || topic.scoreDiscrepancies.length === 0) return '';
+    
+    const labels = {
+        candidateMedian: 'Median',
+        candidateVariability: 'Variability',
+        alignmentScore: 'Alignment score'
+    };
+    const details = topic.scoreDiscrepancies
+        .map(d => `${labels[d.field]}: recorded ${d.recorded}, derived ${d.derived === null ? 'n/a' : d.derived}`)
+        .join(' • ');
+    
+    return `<div class="score-discrepancy">⚠️ Recorded values disagree with statements — ${details}</div>`;
+}
+
 function updateOverallScore(candidateData) {
-    const topicsWithScores = candidateData.topics.filter(topic => topic.alignmentScore !== null && topic.alignmentScore !== undefined);
-    const overallScore = topicsWithScores.length > 0 
-        ? topicsWithScores.reduce((sum, topic) => sum + topic.alignmentScore, 0) / topicsWithScores.length
-        : 0;
+    const overall = alignmentScoring.overallScore(candidateData.topics, currentOverallMode);
     
-    document.getElementById('overallScore').textContent = topicsWithScores.length > 0 ? Math.round(overallScore) : 'N/A';
-    document.getElementById('topicCount').textContent = `${topicsWithScores.length} of ${candidateData.topics.length}`;
+    document.getElementById('overallScore').textContent = overall.score !== null ? Math.round(overall.score) : 'N/A';
+    document.getElementById('topicCount').textContent = `${overall.contributions.length} of ${candidateData.topics.length}`;
+    
+    const overallPosterior = calculateOverallPosterior(candidateData);
+    document.getElementById('overallInterval').textContent = overallPosterior
+        ? `${Math.round(overallPosterior.level * 100)}% credible interval: ${formatInterval(overallPosterior)}`
+        : '';
+    document.getElementById('overallStrategy').textContent = `Weighting: ${statementWeighting.describe(currentWeightingStrategy).label} • ${alignmentScoring.overallModes[currentOverallMode].label}`;
+    renderTopicContributions(overall);
+    renderTrendSummary(candidateData);
     
     const consistencyNote = document.getElementById('consistencyNote');
     const patternClass = getPatternClass(candidateData.overallPattern);
@@ -1298,23 +2021,85 @@ function updateOverallScore(candidateData) {
     `;
 }
 
-function switchCandidate() {
-    const selectedCandidate = document.getElementById('candidateSelect').value;
-    const candidateData = candidates[selectedCandidate];
+function renderTopicContributions(overall) {
+    const container = document.getElementById('topicContributions');
     
-    currentCandidate = selectedCandidate;
+    if (overall.contributions.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
     
+    container.innerHTML = `
+        <div class="contributions-title">Per-topic contribution</div>
+        ${overall.contributions.map(entry => `
+            <div class="contribution-row" title="${entry.statement}">
+                <span class="contribution-topic">${entry.statement}</span>
+                <span class="contribution-weight">${Math.round(entry.share * 100)}%</span>
+                <span class="contribution-points">+${entry.contribution.toFixed(1)}</span>
+            </div>
+        `).join('')}
+    `;
+}
+
+function switchEntity() {
+    const selectedEntity = document.getElementById('entitySelect').value;
+    const candidateData = entities[selectedEntity];
+    
+    currentEntity = selectedEntity;
+    
+    document.getElementById('entityName').textContent = candidateData.name;
+    document.getElementById('entitySubtitle').textContent = entityModel.subtitle(candidateData);
     renderTopics(candidateData);
     updateOverallScore(candidateData);
+    renderTimeline(candidateData);
+    updateUrl();
 }
 
 function updateDateFilter() {
-    currentDateFilter = document.getElementById('dateFilter').value;
-    switchCandidate(); // Re-render with new filter
+    setDateFilter(document.getElementById('dateFilter').value);
+}
+
+// filter is a dropdown value or a { from, to } range brushed on the timeline, shown as the dropdown's custom entry
+function setDateFilter(filter) {
+    currentDateFilter = filter;
+    
+    const select = document.getElementById('dateFilter');
+    const customOption = select.querySelector('option[value="custom"]');
+    customOption.hidden = typeof filter !== 'object';
+    if (typeof filter === 'object') {
+        customOption.textContent = `${filter.from} to ${filter.to}`;
+        select.value = 'custom';
+    } else {
+        select.value = filter;
+    }
+    
+    switchEntity(); // Re-render with new filter
+}
+
+function updateOverallMode() {
+    currentOverallMode = document.getElementById('overallMode').value;
+    switchEntity();
+    renderComparison();
+}
+
+function updateConsensusMode() {
+    currentConsensusMode = document.getElementById('consensusMode').value;
+    rescoreEntities();
+    switchEntity();
+    renderComparison();
+    renderStatementBrowser();     // Alignments depend on the consensus baseline
+}
+
+function updateWeightingStrategy() {
+    currentWeightingStrategy = document.getElementById('weightingStrategy').value;
+    rescoreEntities();
+    switchEntity();
+    renderComparison();
 }
 
 async function switchDataSource() {
     const selectedSource = document.getElementById('dataSourceFilter').value;
+    highlightedStatement = null;
     
     // Show loading state
     showNotification('Loading data...', 'info');
@@ -1323,109 +2108,546 @@ async function switchDataSource() {
     await loadData(selectedSource);
     
     // Update candidate selector with new data
-    populateCandidateSelector();
+    populateEntitySelector();
     
     // Update election selector with new data
     populateElectionSelector();
     
+    // Compared entities belong to the previous data
+    comparedEntities = [];
+    populateComparePicker();
+    populateGroupEditor();
+    renderComparison();
+    
+    // Facet values (entities, topics) belong to the previous data
+    clearStatementFilters();
+    
     // Reset to first candidate or clear selection
-    const candidateSelect = document.getElementById('candidateSelect');
-    if (candidateSelect.options.length > 0) {
-        candidateSelect.selectedIndex = 0;
-        currentCandidate = candidateSelect.value;
-        switchCandidate();
+    const entitySelect = document.getElementById('entitySelect');
+    if (entitySelect.options.length > 0) {
+        entitySelect.selectedIndex = 0;
+        currentEntity = entitySelect.value;
+        switchEntity();
     } else {
-        // Clear display if no candidates available
-        document.getElementById('candidate-analysis').innerHTML = '<p>No candidates available in selected data source.</p>';
+        // Clear display if no entities available
+        document.getElementById('candidate-analysis').innerHTML = '<p>No public figures or organisations available in selected data source.</p>';
     }
 }
 
-function lookupBallot() {
+// Statement browser: every statement across entities, with search, facets, sorting and CSV export
+const BROWSER_PAGE_SIZE = 100;
+const browserFacetTitles = {
+    topics: 'Topic',
+    entities: 'Public figure or organisation',
+    parties: 'Party',
+    sourceTypes: 'Source type',
+    verification: 'Verification',
+    buckets: 'Position'
+};
+let browserCriteria = emptyBrowserCriteria();
+let browserSort = 'date-desc';
+let browserLimit = BROWSER_PAGE_SIZE;
+
+function emptyBrowserCriteria() {
+    const criteria = { query: '', from: '', to: '' };
+    statementBrowser.facets.forEach(facet => { criteria[facet] = []; });
+    return criteria;
+}
+
+function initializeStatementBrowser() {
+    const sortSelect = document.getElementById('statementSort');
+    sortSelect.innerHTML = Object.keys(statementBrowser.sorts)
+        .map(key => `<option value="${key}">${statementBrowser.sorts[key].label}</option>`)
+        .join('');
+    sortSelect.value = browserSort;
+    
+    const update = (field, value) => {
+        browserCriteria[field] = value;
+        browserLimit = BROWSER_PAGE_SIZE;
+        renderStatementBrowser();
+    };
+    document.getElementById('statementSearch').addEventListener('input', (e) => update('query', e.target.value));
+    document.getElementById('statementFrom').addEventListener('change', (e) => update('from', e.target.value));
+    document.getElementById('statementTo').addEventListener('change', (e) => update('to', e.target.value));
+    sortSelect.addEventListener('change', (e) => {
+        browserSort = e.target.value;
+        renderStatementBrowser();
+    });
+    
+    // Facet checkboxes are re-rendered with every change, so listen on their container
+    document.getElementById('statementFacets').addEventListener('change', (e) => {
+        const facet = e.target.dataset.facet;
+        if (!facet) return;
+        update(facet, e.target.checked
+            ? [...browserCriteria[facet], e.target.value]
+            : browserCriteria[facet].filter(value => value !== e.target.value));
+    });
+    
+    document.getElementById('statementResults').addEventListener('click', (e) => {
+        const link = e.target.closest('.browser-entity-link');
+        if (link) {
+            e.preventDefault();
+            showStatementInAnalysis(link.dataset.entity, link.dataset.statement || null);
+        }
+        if (e.target.closest('.browser-more')) {
+            browserLimit += BROWSER_PAGE_SIZE;
+            renderStatementBrowser();
+        }
+    });
+    
+    renderStatementBrowser();
+}
+
+function clearStatementFilters() {
+    browserCriteria = emptyBrowserCriteria();
+    browserLimit = BROWSER_PAGE_SIZE;
+    document.getElementById('statementSearch').value = '';
+    document.getElementById('statementFrom').value = '';
+    document.getElementById('statementTo').value = '';
+    renderStatementBrowser();
+}
+
+function filteredStatementRows() {
+    const rows = statementBrowser.collect(Object.values(entities));
+    return {
+        rows,
+        filtered: statementBrowser.sort(statementBrowser.filter(rows, browserCriteria), browserSort)
+    };
+}
+
+function renderStatementBrowser() {
+    const { rows, filtered } = filteredStatementRows();
+    const terms = statementBrowser.searchTerms(browserCriteria.query);
+    const hasFilters = JSON.stringify(browserCriteria) !== JSON.stringify(emptyBrowserCriteria());
+    
+    document.getElementById('statementFacets').innerHTML = statementBrowser.facets.map(facet => `
+        <fieldset class="browser-facet">
+            <legend>${browserFacetTitles[facet]}</legend>
+            ${statementBrowser.facetCounts(rows, browserCriteria, facet).map(entry => `
+                <label class="browser-facet-option${entry.count === 0 ? ' empty' : ''}">
+                    <input type="checkbox" data-facet="${facet}" value="${escapeHtml(entry.value)}"
+                           ${browserCriteria[facet].includes(entry.value) ? 'checked' : ''}>
+                    <span class="browser-facet-label">${escapeHtml(entry.label)}</span>
+                    <span class="browser-facet-count">${entry.count}</span>
+                </label>
+            `).join('')}
+        </fieldset>
+    `).join('');
+    
+    document.getElementById('statementSummary').innerHTML = `
+        Showing ${Math.min(filtered.length, browserLimit)} of ${filtered.length} matching statements (${rows.length} in total)
+        ${hasFilters ? '<button class="browser-clear" type="button" onclick="clearStatementFilters()">Clear filters</button>' : ''}
+    `;
+    
+    document.getElementById('statementResults').innerHTML = filtered.length === 0
+        ? '<div class="no-election-selected">No statements match these filters.</div>'
+        : filtered.slice(0, browserLimit).map(row => renderStatementRow(row, terms)).join('') +
+          (filtered.length > browserLimit ? '<button class="browser-more" type="button">Show more</button>' : '');
+}
+
+function renderStatementRow(row, terms) {
+    return `
+        <div class="browser-statement">
+            <div class="browser-quote">"${highlightTerms(row.quote, terms)}"</div>
+            <div class="browser-statement-meta">
+                <a href="#" class="browser-entity-link" data-entity="${escapeHtml(row.entityId)}" data-statement="${escapeHtml(row.statementId || '')}"
+                   title="Show on the analysis tab">${escapeHtml(row.entityName)}</a>
+                · ${escapeHtml(row.topic)} · ${escapeHtml(row.date || 'Undated')}
+            </div>
+            <div class="browser-statement-meta">
+                Position <strong>${row.position}</strong>
+                · Alignment <span class="browser-alignment ${getScoreClass(row.alignment)}">${row.alignment}</span>
+                · ${row.sourceUrl ? `<a href="${safeHref(row.sourceUrl)}" target="_blank" rel="noopener">${escapeHtml(row.source || 'Source')}</a>` : escapeHtml(row.source || 'No source')}
+                (${escapeHtml(statementBrowser.sourceTypeLabels[row.sourceType] || row.sourceType)})
+                · ${row.verified ? '<span class="browser-verified">✓ Verified</span>' : '<span class="browser-unverified">Unverified</span>'}
+            </div>
+            ${row.context ? `<div class="browser-context">${highlightTerms(row.context, terms)}</div>` : ''}
+        </div>
+    `;
+}
+
+// Marks search terms in already-plain text; every part is escaped
+function highlightTerms(text, terms) {
+    if (terms.length === 0) return escapeHtml(text);
+    
+    const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+    return text.split(pattern)
+        .map((part, i) => i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+function exportStatementsCsv() {
+    const { filtered } = filteredStatementRows();
+    
+    const blob = new Blob([statementBrowser.toCsv(filtered)], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `science_scorecard_statements_${new Date().toISOString().slice(0, 10)}.csv`;
+    a.click();
+    URL.revokeObjectURL(url);
+    
+    showNotification(`📄 Exported ${filtered.length} statements`, 'success');
+}
+
+// Opens a statement from the browser on the analysis tab, as one history entry
+function showStatementInAnalysis(entityId, statementId) {
+    applyingUrlState = true;
+    try {
+        document.getElementById('entitySelect').value = entityId;
+        highlightedStatement = statementId;
+        switchEntity();
+        switchTab('candidate-analysis');
+    } finally {
+        applyingUrlState = false;
+    }
+    updateUrl();
+    
+    const highlighted = document.querySelector('.statement-point.highlighted');
+    if (highlighted) highlighted.scrollIntoView({ block: 'center' });
+}
+
+// URL state: every view change is pushed to history so links can be shared and back/forward work
+let applyingUrlState = false;
+
+function currentViewState() {
+    const activeTab = document.querySelector('.tab.active');
+    return {
+        tab: activeTab ? activeTab.dataset.tab : urlState.defaults.tab,
+        entity: currentEntity,
+        dates: currentDateFilter,
+        source: document.getElementById('dataSourceFilter').value,
+        election: document.getElementById('electionSelect').value || null,
+        compare: comparedEntities,
+        statement: highlightedStatement
+    };
+}
+
+function shareUrl() {
+    return `${window.location.href.split(/[?#]/)[0]}${urlState.toQuery(currentViewState())}`;
+}
+
+function updateUrl() {
+    if (applyingUrlState) return;
+    
+    const query = urlState.toQuery(currentViewState());
+    if (query !== window.location.search) {
+        history.pushState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }
+}
+
+// Restores a view from a link or a history entry; values the loaded data does not have fall back to the defaults
+async function applyUrlState(state) {
+    applyingUrlState = true;
+    try {
+        const sourceSelect = document.getElementById('dataSourceFilter');
+        if (sourceSelect.value !== state.source) {
+            sourceSelect.value = state.source;
+            await switchDataSource();
+        }
+        
+        const entitySelect = document.getElementById('entitySelect');
+        if (state.entity && entities[state.entity]) {
+            entitySelect.value = state.entity;
+        }
+        const entity = entities[entitySelect.value];
+        highlightedStatement = entity && entity.topics.some(topic => topic.candidateStatements.some(stmt => stmt.id === state.statement))
+            ? state.statement
+            : null;
+        setDateFilter(state.dates);
+        
+        const electionSelect = document.getElementById('electionSelect');
+        electionSelect.value = state.election || '';
+        if (electionSelect.value !== (state.election || '')) electionSelect.value = '';
+        
+        // Compared entities in the link win over the election's candidates
+        comparedEntities = validComparedEntities(state.compare);
+        syncComparePicker();
+        if (comparedEntities.length > 0) {
+            renderComparison();
+        } else {
+            switchElection();
+        }
+        
+        const tabExists = [...document.querySelectorAll('.tab')].some(tab => tab.dataset.tab === state.tab);
+        switchTab(tabExists ? state.tab : urlState.defaults.tab);
+    } finally {
+        applyingUrlState = false;
+    }
+    
+    const highlighted = document.querySelector('.statement-point.highlighted');
+    if (highlighted) highlighted.scrollIntoView({ block: 'center' });
+}
+
+// Clicking a statement point highlights it in the link; clicking it again clears the highlight
+function highlightStatement(statement) {
+    if (!statement.id) return;
+    highlightedStatement = highlightedStatement === statement.id ? null : statement.id;
+    switchEntity();
+}
+
+async function lookupBallot() {
     const address = document.getElementById('address').value;
     const city = document.getElementById('city').value;
     const state = document.getElementById('state').value;
     const zip = document.getElementById('zip').value;
     
+    showBallotMessage(null);
     if (!address || !city || !state || !zip) {
-        alert('Please fill in all address fields');
+        showBallotMessage('Please fill in all address fields.');
         return;
     }
     
-    // Mock API call - in real implementation, this would call actual ballot lookup service
-    const ballot = ballotData[state];
-    if (!ballot) {
-        alert('Ballot information not available for this location yet. More states coming soon!');
-        return;
+    const fullAddress = `${address}, ${city}, ${state} ${zip}`;
+    let ballot = null;
+    let lookupError = null;
+    
+    if (API_BASE_URL) {
+        try {
+            ballot = await fetchBallot(fullAddress);
+        } catch (error) {
+            console.error('Ballot lookup error:', error);
+            // The demo ballot would be wrong for an address the service understood but could not use
+            if (['invalid-input', 'address-not-found', 'no-election'].includes(error.code)) {
+                showBallotMessage(ballotErrorMessage(error));
+                document.getElementById('ballotResults').classList.remove('show');
+                return;
+            }
+            lookupError = error;
+        }
     }
     
-    // Show results
-    document.getElementById('locationDetails').textContent = 
-        `${address}, ${city}, ${state} ${zip} • ${ballot.district}`;
+    if (ballot) {
+        document.getElementById('locationDetails').textContent = ballot.normalizedAddress || fullAddress;
+        document.getElementById('electionDate').textContent = ballot.election
+            ? `${ballot.election.name} • ${ballot.election.electionDay}`
+            : 'No upcoming election found for this address';
+        renderBallotRaces(ballotMatcher.matchContests(ballot.contests, Object.values(entities), state), state);
+    } else {
+        // Without the API, only the hard-coded demo ballot is available
+        const demoBallot = ballotData[state];
+        if (!demoBallot) {
+            showBallotMessage(lookupError
+                ? ballotErrorMessage(lookupError)
+                : 'Ballot information is not available for this location yet. More states coming soon!');
+            document.getElementById('ballotResults').classList.remove('show');
+            return;
+        }
+        if (lookupError) {
+            showBallotMessage(`${ballotErrorMessage(lookupError)} Showing the demo ballot instead.`, 'warning');
+        }
+        
+        document.getElementById('locationDetails').textContent = `${fullAddress} • ${demoBallot.district}`;
+        document.getElementById('electionDate').textContent = 'November 5, 2025';
+        renderBallotRaces(demoBallot.races.map(race => ({
+            office: race.office,
+            candidates: race.candidates
+                .filter(id => entities[id])
+                .map(id => ({ name: entities[id].name, party: entities[id].party, match: { entityId: id } }))
+        })), state);
+    }
     
-    renderBallotRaces(ballot.races);
     document.getElementById('ballotResults').classList.add('show');
 }
 
-function renderBallotRaces(races) {
+// Errors carry the code from api-errors.js on the server, or 'network' when the server was not reached
+async function fetchBallot(address) {
+    let response;
+    try {
+        response = await fetch(`${API_BASE_URL}/api/ballot-lookup`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ address })
+        });
+    } catch (networkError) {
+        const error = new Error(networkError.message);
+        error.code = 'network';
+        throw error;
+    }
+    
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new Error(body.error || `HTTP ${response.status}`);
+        error.code = body.code || 'internal-error';
+        error.retryAfter = body.retryAfter;
+        throw error;
+    }
+    return response.json();
+}
+
+function ballotErrorMessage(error) {
+    switch (error.code) {
+        case 'invalid-input':
+            return `Please check the address you entered: ${error.message}`;
+        case 'address-not-found':
+            return 'We could not find that address. Check the street, city and ZIP code and try again.';
+        case 'no-election':
+            return 'There is no upcoming election on file for this address yet.';
+        case 'upstream-quota-exceeded':
+            return 'Live ballot lookups are paused because the ballot service\'s daily limit has been reached. Please try again tomorrow.';
+        case 'upstream-unavailable':
+            return 'The ballot service is not responding right now. Please try again in a few minutes.';
+        case 'rate-limited': {
+            const minutes = Math.max(1, Math.ceil((error.retryAfter || 60) / 60));
+            return `You have looked up several ballots in a short time. Please try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+        }
+        case 'origin-not-allowed':
+            return 'This copy of the site is not allowed to use the ballot service.';
+        case 'network':
+            return 'The ballot service could not be reached. Check your connection and try again.';
+        default:
+            return 'Something went wrong while looking up your ballot.';
+    }
+}
+
+// Shown under the address form; a null message hides it
+function showBallotMessage(message, type = 'error') {
+    const element = document.getElementById('ballotMessage');
+    element.textContent = message || '';
+    element.className = `ballot-message ${type}`;
+    element.hidden = !message;
+}
+
+// races: contests whose candidates carry a match from BallotMatcher (null when we have not scored them)
+function renderBallotRaces(races, state) {
     const container = document.getElementById('racesContainer');
     container.innerHTML = '';
     
+    if (races.length === 0) {
+        container.innerHTML = '<div class="no-election-selected">No contests were found on this ballot.</div>';
+        return;
+    }
+    
     races.forEach(race => {
         const raceDiv = document.createElement('div');
         raceDiv.className = 'race-card';
         
-        const raceCandidates = race.candidates.map(id => candidates[id]);
-        
         raceDiv.innerHTML = `
-            <div class="race-title">${race.office}</div>
-            <div class="candidates-comparison" id="race-${race.office.replace(/\s+/g, '-')}"></div>
+            <div class="race-title">${escapeHtml(race.office)}${race.district ? ` <span class="race-district">${escapeHtml(race.district)}</span>` : ''}</div>
+            <div class="candidates-comparison"></div>
         `;
         
         container.appendChild(raceDiv);
         
         const candidatesContainer = raceDiv.querySelector('.candidates-comparison');
-        raceCandidates.forEach(candidate => {
-            const overallScore = calculateOverallScore(candidate);
-            
-            const candidateDiv = document.createElement('div');
-            candidateDiv.className = 'candidate-card';
-            candidateDiv.onclick = () => {
-                // Switch to candidate analysis tab and select this candidate
-                const candidateKey = Object.keys(candidates).find(key => candidates[key].name === candidate.name);
-                if (candidateKey) {
-                    currentCandidate = candidateKey;
-                    document.getElementById('candidateSelect').value = candidateKey;
-                    switchTab('candidate-analysis');
-                    switchCandidate();
-                }
-            };
-            
-            candidateDiv.innerHTML = `
-                <div class="candidate-name">${candidate.name}</div>
-                <div class="candidate-party">${candidate.party} Party</div>
-                <div class="candidate-score" style="background-color: ${getScoreColor(overallScore)}">${overallScore}</div>
-                <div class="score-breakdown">
-                    <div class="breakdown-item">
-                        <div class="breakdown-label">Pattern</div>
-                        <div class="breakdown-value">${getPatternLabel(candidate.overallPattern)}</div>
-                    </div>
-                    <div class="breakdown-item">
-                        <div class="breakdown-label">Topics</div>
-                        <div class="breakdown-value">${candidate.topics.length}</div>
-                    </div>
-                </div>
-            `;
-            
-            candidatesContainer.appendChild(candidateDiv);
+        race.candidates.forEach(ballotCandidate => {
+            const candidate = ballotCandidate.match ? entities[ballotCandidate.match.entityId] : null;
+            candidatesContainer.appendChild(candidate
+                ? renderScoredBallotCard(candidate, ballotCandidate.match.entityId)
+                : renderUnscoredBallotCard(ballotCandidate, race.office, state));
         });
     });
 }
 
+function renderScoredBallotCard(candidate, entityId) {
+    const overallScore = calculateOverallScore(candidate);
+    
+    const candidateDiv = document.createElement('div');
+    candidateDiv.className = 'candidate-card';
+    candidateDiv.onclick = () => {
+        // Switch to candidate analysis tab and select this candidate
+        currentEntity = entityId;
+        document.getElementById('entitySelect').value = entityId;
+        switchTab('candidate-analysis');
+        switchEntity();
+    };
+    
+    candidateDiv.innerHTML = `
+        <div class="candidate-name">${escapeHtml(candidate.name)}</div>
+        <div class="candidate-party">${candidate.party ? `${escapeHtml(candidate.party)} Party` : 'No party listed'}</div>
+        <div class="candidate-score" style="background-color: ${getScoreColor(overallScore)}">${overallScore}</div>
+        <div class="score-breakdown">
+            <div class="breakdown-item">
+                <div class="breakdown-label">Pattern</div>
+                <div class="breakdown-value">${getPatternLabel(candidate.overallPattern)}</div>
+            </div>
+            <div class="breakdown-item">
+                <div class="breakdown-label">Topics</div>
+                <div class="breakdown-value">${candidate.topics.length}</div>
+            </div>
+        </div>
+    `;
+    
+    return candidateDiv;
+}
+
+// Ballot candidates we have no statements for, with a form asking us to cover them
+function renderUnscoredBallotCard(ballotCandidate, office, state) {
+    const candidateDiv = document.createElement('div');
+    candidateDiv.className = 'candidate-card not-scored';
+    
+    candidateDiv.innerHTML = `
+        <div class="candidate-name">${escapeHtml(ballotCandidate.name)}</div>
+        <div class="candidate-party">${ballotCandidate.party ? escapeHtml(ballotCandidate.party) : 'No party listed'}</div>
+        <div class="candidate-score not-scored-badge">Not yet scored</div>
+        <button type="button" class="coverage-btn">Request coverage</button>
+        <form class="coverage-form" hidden>
+            <input type="email" name="email" maxlength="254" placeholder="Email for updates (optional)">
+            <textarea name="note" rows="2" maxlength="1000" placeholder="Anything we should know? (optional)"></textarea>
+            <button type="submit" class="coverage-submit">Send request</button>
+        </form>
+    `;
+    
+    const form = candidateDiv.querySelector('.coverage-form');
+    candidateDiv.querySelector('.coverage-btn').addEventListener('click', (e) => {
+        form.hidden = !form.hidden;
+        e.target.textContent = form.hidden ? 'Request coverage' : 'Cancel';
+    });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        requestCoverage(ballotCandidate, office, state, candidateDiv);
+    });
+    
+    return candidateDiv;
+}
+
+async function requestCoverage(ballotCandidate, office, state, card) {
+    const form = card.querySelector('.coverage-form');
+    const email = form.elements.email.value.trim();
+    
+    if (email && !isValidEmail(email)) {
+        showNotification('Please enter a valid email address, or leave it empty', 'error');
+        return;
+    }
+    
+    try {
+        const response = await fetch(`${API_BASE_URL}/api/coverage-requests`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                name: ballotCandidate.name,
+                office,
+                state,
+                party: ballotCandidate.party || null,
+                candidateUrl: ballotCandidate.candidateUrl || null,
+                email: email || null,
+                note: form.elements.note.value.trim() || null
+            })
+        });
+        if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            throw new Error(body.error || `HTTP ${response.status}`);
+        }
+        
+        form.remove();
+        card.querySelector('.coverage-btn').replaceWith(Object.assign(document.createElement('div'), {
+            className: 'coverage-requested',
+            textContent: '✓ Coverage requested'
+        }));
+        showNotification(`Thanks! We'll look into scoring ${ballotCandidate.name}.`, 'success');
+    } catch (error) {
+        console.error('Coverage request error:', error);
+        showNotification(`Could not send the coverage request: ${error.message}`, 'error');
+    }
+}
+
 function calculateOverallScore(candidate) {
-    const topicsWithScores = candidate.topics.filter(topic => topic.alignmentScore !== null && topic.alignmentScore !== undefined);
-    return topicsWithScores.length > 0 
-        ? Math.round(topicsWithScores.reduce((sum, topic) => sum + topic.alignmentScore, 0) / topicsWithScores.length)
-        : 0;
+    const overall = alignmentScoring.overallScore(candidate.topics, currentOverallMode);
+    return overall.score !== null ? Math.round(overall.score) : 0;
+}
+
+function calculateOverallPosterior(candidate) {
+    return scorecardBuilder.overallPosterior(candidate, currentOverallMode);
 }
 
 // Initialize application
@@ -1434,8 +2656,12 @@ async function initializeApp() {
         // Show loading indicator
         document.body.style.opacity = '0.7';
         
+        // A shared link may ask for the real data; load that first rather than reloading
+        const initialState = urlState.fromQuery(window.location.search);
+        document.getElementById('dataSourceFilter').value = initialState.source;
+        
         // Load data from JSON files
-        const dataLoaded = await loadData();
+        const dataLoaded = await loadData(initialState.source);
         
         if (dataLoaded) {
             console.log('Data loaded successfully from JSON files');
@@ -1450,14 +2676,28 @@ async function initializeApp() {
         initializeAutocomplete();
         
         // Populate candidate selector
-        populateCandidateSelector();
+        populateEntitySelector();
         
-        // Populate election selector for comparison tab
+        // Populate election selector and head-to-head picks for comparison tab
         populateElectionSelector();
+        populateComparePicker();
+        populateGroupEditor();
+        
+        // Topic proposal form and saved proposals
+        initializeTopicProposals();
+        
+        // Statement browser controls and first listing
+        initializeStatementBrowser();
         
         // Set up event listeners
-        document.getElementById('candidateSelect').addEventListener('change', switchCandidate);
+        document.getElementById('entitySelect').addEventListener('change', () => {
+            highlightedStatement = null;
+            switchEntity();
+        });
         document.getElementById('dateFilter').addEventListener('change', updateDateFilter);
+        document.getElementById('weightingStrategy').addEventListener('change', updateWeightingStrategy);
+        document.getElementById('overallMode').addEventListener('change', updateOverallMode);
+        document.getElementById('consensusMode').addEventListener('change', updateConsensusMode);
         document.getElementById('dataSourceFilter').addEventListener('change', switchDataSource);
         document.getElementById('electionSelect').addEventListener('change', switchElection);
         
@@ -1475,8 +2715,12 @@ async function initializeApp() {
             }
         });
         
-        // Initialize with first candidate
-        switchCandidate();
+        // Browser back and forward restore the view recorded in the URL
+        window.addEventListener('popstate', () => applyUrlState(urlState.fromQuery(window.location.search)));
+        
+        // Initialize with the linked view, or the first candidate
+        await applyUrlState(initialState);
+        history.replaceState(null, '', `${window.location.pathname}${urlState.toQuery(currentViewState())}${window.location.hash}`);
         
         // Hide loading indicator
         document.body.style.opacity = '1';
@@ -1485,23 +2729,214 @@ async function initializeApp() {
         console.error('Error initializing application:', error);
         // Fallback initialization
         init();
-        switchCandidate();
+        switchEntity();
         document.body.style.opacity = '1';
     }
 }
 
-function populateCandidateSelector() {
-    const select = document.getElementById('candidateSelect');
+function populateEntitySelector() {
+    const select = document.getElementById('entitySelect');
     select.innerHTML = '';
+    appendEntityOptions(select);
+}
+
+// Entities are grouped by type (candidates, corporations, ...) once more than one type is loaded
+function appendEntityOptions(select) {
+    const types = Object.keys(entityModel.types).filter(type =>
+        Object.values(entities).some(entity => entity.entityType === type)
+    );
     
-    Object.keys(candidates).forEach(candidateId => {
-        const candidate = candidates[candidateId];
-        const option = document.createElement('option');
-        option.value = candidateId;
-        option.textContent = candidate.name;
-        select.appendChild(option);
+    types.forEach(type => {
+        const parent = types.length > 1 ? document.createElement('optgroup') : select;
+        if (types.length > 1) {
+            parent.label = entityModel.types[type].plural;
+            select.appendChild(parent);
+        }
+        
+        Object.keys(entities)
+            .filter(entityId => entities[entityId].entityType === type)
+            .forEach(entityId => {
+                const option = document.createElement('option');
+                option.value = entityId;
+                option.textContent = entities[entityId].name;
+                parent.appendChild(option);
+            });
     });
 }
 
+// Topic proposals: user-submitted claims, gated by the scientific-claim check and kept in localStorage
+const PROPOSALS_STORAGE_KEY = 'scienceScorecard.topicProposals';
+let pendingProposalSources = [];
+
+function initializeTopicProposals() {
+    const typeSelect = document.getElementById('proposalSourceType');
+    typeSelect.innerHTML = Object.keys(consensusDerivation.publicationTypeLabels)
+        .map(type => `<option value="${type}">${consensusDerivation.describeType(type)}</option>`)
+        .join('');
+    typeSelect.value = 'systematic_review';
+    
+    document.getElementById('proposalClaim').addEventListener('input', renderClaimCheck);
+    document.getElementById('addProposalSource').addEventListener('click', addProposalSource);
+    document.getElementById('submitProposal').addEventListener('click', submitProposal);
+    
+    renderProposalSources();
+    renderProposalList();
+}
+
+function loadProposals() {
+    try {
+        return JSON.parse(localStorage.getItem(PROPOSALS_STORAGE_KEY)) || [];
+    } catch (error) {
+        console.warn('Could not read saved topic proposals:', error);
+        return [];
+    }
+}
+
+function saveProposals(proposals) {
+    try {
+        localStorage.setItem(PROPOSALS_STORAGE_KEY, JSON.stringify(proposals));
+    } catch (error) {
+        console.warn('Could not save topic proposals:', error);
+    }
+}
+
+function renderClaimCheck() {
+    const claim = document.getElementById('proposalClaim').value;
+    const container = document.getElementById('claimCheck');
+    
+    if (!claim.trim()) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const check = topicProposals.checkClaim(claim);
+    container.className = `claim-check ${check.scientific ? 'scientific' : 'not-scientific'}`;
+    container.innerHTML = check.scientific
+        ? `✅ Looks like an empirical claim${check.warnings.map(warning => `<br><small>⚠️ ${escapeHtml(warning)}</small>`).join('')}`
+        : `🚫 Not a scientific claim (${check.category}) — it will not be scored:<ul>${check.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>`;
+}
+
+function addProposalSource() {
+    const field = id => document.getElementById(id).value;
+    const source = {
+        title: field('proposalSourceTitle'),
+        url: field('proposalSourceUrl'),
+        organisation: field('proposalSourceOrganisation'),
+        publicationType: field('proposalSourceType'),
+        year: field('proposalSourceYear'),
+        sampleSize: field('proposalSourceSize'),
+        position: field('proposalSourcePosition'),
+        halfWidth: field('proposalSourceHalfWidth')
+    };
+    
+    if (!source.title.trim() && !source.url.trim()) {
+        showNotification('Give the source a title or link', 'error');
+        return;
+    }
+    if (source.position === '' || isNaN(Number(source.position)) || Number(source.position) < 0 || Number(source.position) > 100) {
+        showNotification('Enter the position the source supports, from 0 to 100', 'error');
+        return;
+    }
+    
+    pendingProposalSources.push(source);
+    ['proposalSourceTitle', 'proposalSourceUrl', 'proposalSourceOrganisation', 'proposalSourceYear', 'proposalSourceSize', 'proposalSourcePosition', 'proposalSourceHalfWidth']
+        .forEach(id => { document.getElementById(id).value = ''; });
+    renderProposalSources();
+}
+
+function removeProposalSource(index) {
+    pendingProposalSources.splice(index, 1);
+    renderProposalSources();
+}
+
+function renderProposalSources() {
+    const list = document.getElementById('proposalSources');
+    list.innerHTML = pendingProposalSources.length === 0
+        ? '<li class="proposal-empty">No sources added yet</li>'
+        : pendingProposalSources.map((source, index) => `
+            <li>
+                ${escapeHtml(source.title || source.url)}${source.organisation ? ` (${escapeHtml(source.organisation)})` : ''}
+                — ${consensusDerivation.describeType(source.publicationType)}, supports ${escapeHtml(source.position)}
+                <button class="proposal-remove" onclick="removeProposalSource(${index})" title="Remove source">✕</button>
+            </li>
+        `).join('');
+}
+
+function submitProposal() {
+    const claim = document.getElementById('proposalClaim').value;
+    if (!claim.trim()) {
+        showNotification('Enter a claim to propose', 'error');
+        return;
+    }
+    
+    const proposal = topicProposals.createProposal({ claim, sources: pendingProposalSources });
+    saveProposals([proposal, ...loadProposals()]);
+    
+    if (proposal.status === 'rejected') {
+        showNotification('🚫 Saved, but not scored: this is not a scientific claim', 'error');
+    } else if (proposal.status === 'needs-evidence') {
+        showNotification('Saved. Link at least one source with a position to get a provisional consensus', 'error');
+    } else {
+        showNotification('✅ Proposal saved with a provisional consensus', 'success');
+        document.getElementById('proposalClaim').value = '';
+        pendingProposalSources = [];
+        renderProposalSources();
+        renderClaimCheck();
+    }
+    
+    renderProposalList();
+}
+
+function deleteProposal(id) {
+    saveProposals(loadProposals().filter(proposal => proposal.id !== id));
+    renderProposalList();
+}
+
+function renderProposalList() {
+    const container = document.getElementById('proposalList');
+    const proposals = loadProposals();
+    
+    if (proposals.length === 0) {
+        container.innerHTML = '<p class="proposal-empty">No proposals yet</p>';
+        return;
+    }
+    
+    container.innerHTML = proposals.map(proposal => {
+        const consensus = proposal.consensus;
+        const detail = topicProposals.isScoreable(proposal)
+            ? `Provisional consensus: <strong>${consensus.consensusPosition} ± ${consensus.consensusWidth / 2}</strong> from ${consensus.consensusInfo.sources.length} source${consensus.consensusInfo.sources.length === 1 ? '' : 's'}
+               <ul>${renderConsensusSources(consensus, consensus.consensusInfo.sources)}</ul>`
+            : proposal.status === 'rejected'
+                ? `<ul>${proposal.check.reasons.map(reason => `<li>${escapeHtml(reason)}</li>`).join('')}</ul>`
+                : 'No source with a position was linked, so no consensus could be derived.';
+        
+        return `
+            <div class="proposal-card ${proposal.status}">
+                <div class="proposal-header">
+                    <span class="proposal-status">${topicProposals.describe(proposal.status)}</span>
+                    <span class="proposal-date">${proposal.submittedAt.slice(0, 10)}</span>
+                    <button class="proposal-remove" onclick="deleteProposal('${proposal.id}')" title="Delete proposal">✕</button>
+                </div>
+                <div class="proposal-statement">"${escapeHtml(proposal.statement)}"</div>
+                <div class="proposal-detail">${detail}</div>
+            </div>
+        `;
+    }).join('');
+}
+
+// Attribute-safe link target; anything but an http(s) url (e.g. javascript:) becomes '#'
+function safeHref(url) {
+    return /^https?:\/\//i.test(url || '') ? escapeHtml(url) : '#';
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', initializeApp);
\ No newline at end of file
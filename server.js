@@ -1,7 +1,32 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
+const StatementStore = require('./statement-store');
+const SourceArchive = require('./source-archive');
+const QuoteVerifier = require('./quote-verifier');
+const BallotProvider = require('./ballot-providers');
+const ElectionDirectory = require('./election-directory');
+const BallotCache = require('./ballot-cache');
+const RateLimiter = require('./rate-limiter');
+const {
+    InvalidInputError,
+    NotFoundError,
+    UnauthorizedError,
+    WritesDisabledError,
+    OriginNotAllowedError,
+    sendError,
+    errorHandler
+} = require('./api-errors');
+const EntityModel = require('./entity-model');
+const AlignmentScoring = require('./alignment-scoring');
+const BayesianAlignment = require('./bayesian-alignment');
+const ConsensusHistory = require('./consensus-history');
+const StatementWeighting = require('./statement-weighting');
+const PatternClassifier = require('./pattern-classifier');
+const ScorecardBuilder = require('./scorecard-builder');
+const ComparisonGroups = require('./comparison-groups');
+const BallotMatcher = require('./ballot-matcher');
+const { DATA_FILES } = require('./import-json-data');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -23,7 +48,7 @@ app.use(cors({
             callback(null, true);
         } else {
             console.log(`Blocked CORS request from origin: ${origin}`);
-            callback(new Error('Not allowed by CORS'));
+            callback(new OriginNotAllowedError(origin));
         }
     },
     credentials: true
@@ -31,66 +56,498 @@ app.use(cors({
 
 app.use(express.json());
 
-// Google Civic API endpoint
-app.post('/api/ballot-lookup', async (req, res) => {
+// Behind a proxy, req.ip is only the client's address when the proxy is trusted
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+const store = new StatementStore();
+const archive = new SourceArchive(store, { verifier: new QuoteVerifier() });
+const ballotProvider = BallotProvider.fromEnv();
+const electionDirectory = new ElectionDirectory(ballotProvider);
+
+// Every uncached lookup uses API quota, so answers are cached and clients limited
+const ballotCache = new BallotCache({
+    ttlHours: Number(process.env.BALLOT_CACHE_HOURS ?? 6),
+    filePath: process.env.BALLOT_CACHE_FILE || null
+});
+const ballotRateLimiter = new RateLimiter({
+    limit: Number(process.env.BALLOT_RATE_LIMIT || 30),
+    windowMs: Number(process.env.BALLOT_RATE_WINDOW_MINUTES || 15) * 60 * 1000
+});
+
+// Same scoring modules and settings the frontend loads, so API numbers match the page
+const alignmentScoring = new AlignmentScoring({
+    posteriorModel: new BayesianAlignment(),
+    consensusHistory: new ConsensusHistory()
+});
+const entityModel = new EntityModel();
+const scorecardBuilder = new ScorecardBuilder({
+    entityModel,
+    scoring: alignmentScoring,
+    weighting: new StatementWeighting(),
+    classifier: new PatternClassifier(alignmentScoring),
+    review: store.review
+});
+const comparisonGroups = new ComparisonGroups({ builder: scorecardBuilder, matcher: new BallotMatcher(entityModel) });
+
+// Elections known to the ballot provider, cached for a few hours
+// ?refresh=true spends upstream quota, so it needs write access like the data routes
+function requireWriteAccessToRefresh(req, res, next) {
+    if (req.query.refresh === undefined) return next();
+    requireWriteAccess(req, res, next);
+}
+
+app.get('/api/elections', ballotRateLimiter.middleware(), requireWriteAccessToRefresh, async (req, res) => {
+    try {
+        const { state } = req.query;
+        if (state !== undefined && (typeof state !== 'string' || !/^[A-Za-z]{2}$/.test(state))) {
+            throw new InvalidInputError('state must be a two-letter state code, e.g. WA');
+        }
+
+        const elections = await electionDirectory.list({ refresh: req.query.refresh === 'true' });
+        const upcoming = req.query.upcoming === 'true';
+        const today = new Date().toISOString().slice(0, 10);
+
+        res.json({
+            elections: elections.filter(election => (!state || election.state === null || election.state === state.toUpperCase())
+                && (!upcoming || (!election.isTest && election.electionDay >= today))),
+            cachedAt: electionDirectory.cachedAt()
+        });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Ballot for an address, from the provider chosen by BALLOT_PROVIDER
+app.post('/api/ballot-lookup', ballotRateLimiter.middleware(), async (req, res) => {
+    try {
+        const { address } = req.body || {};
+        
+        if (typeof address !== 'string' || !address.trim()) {
+            throw new InvalidInputError('Address is required');
+        }
+        if (address.length > 300) {
+            throw new InvalidInputError('Address is too long');
+        }
+        if (req.body.electionId !== undefined && !/^[\w-]{1,40}$/.test(String(req.body.electionId))) {
+            throw new InvalidInputError('electionId must be an election id from /api/elections');
+        }
+
+        // Without an electionId, use the next election covering the address's state;
+        // if none is listed, the provider picks whichever election it has for the address
+        let electionId = req.body.electionId ? String(req.body.electionId) : null;
+        if (!electionId) {
+            const upcoming = await electionDirectory.upcomingFor(ballotProvider.addressParts(address).state)
+                .catch(error => {
+                    console.warn('Election list unavailable, letting the provider choose:', error.message);
+                    return null;
+                });
+            electionId = upcoming ? upcoming.id : null;
+        }
+
+        res.json(await ballotCache.get(address, electionId, () => ballotProvider.lookup(address, electionId)));
+
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Statement database: CRUD routes for entities, topics and statements
+// Writes require the x-api-key header matching ADMIN_API_KEY. Without a key
+// they are refused, except with NODE_ENV=development, where they are open.
+function requireWriteAccess(req, res, next) {
+    if (process.env.ADMIN_API_KEY) {
+        if (req.get('x-api-key') !== process.env.ADMIN_API_KEY) {
+            return sendError(res, new UnauthorizedError());
+        }
+    } else if (process.env.NODE_ENV !== 'development') {
+        return sendError(res, new WritesDisabledError());
+    }
+    next();
+}
+
+function describeWriteAccess() {
+    if (process.env.ADMIN_API_KEY) return 'require x-api-key';
+    return process.env.NODE_ENV === 'development'
+        ? '⚠️ open to anyone (development, ADMIN_API_KEY not set)'
+        : '🔒 disabled (set ADMIN_API_KEY to allow them)';
+}
+
+function registerCrudRoutes(collection, filterFields, present = record => record) {
+    const base = `/api/${collection}`;
+    
+    app.get(base, (req, res) => {
+        try {
+            const filters = {};
+            filterFields.forEach(field => { filters[field] = req.query[field]; });
+            res.json(store.list(collection, filters).map(present));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+    
+    app.get(`${base}/:id`, (req, res) => {
+        try {
+            res.json(present(store.get(collection, req.params.id)));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+    
+    app.post(base, requireWriteAccess, async (req, res) => {
+        try {
+            res.status(201).json(present(await store.create(collection, req.body || {})));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+    
+    app.put(`${base}/:id`, requireWriteAccess, async (req, res) => {
+        try {
+            res.json(present(await store.update(collection, req.params.id, req.body || {})));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+    
+    app.delete(`${base}/:id`, requireWriteAccess, async (req, res) => {
+        try {
+            res.json(present(await store.remove(collection, req.params.id)));
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+}
+
+registerCrudRoutes('entities', ['entityType', 'dataset', 'party', 'state']);
+registerCrudRoutes('topics', []);
+registerCrudRoutes('statements', ['entityId', 'topicId', 'sourceId', 'dataset', 'verified', 'status'], statement => store.expandStatement(statement));
+
+// Review workflow: submitted → source-checked → scored → published, or rejected with a reason code
+app.post('/api/statements/:id/review', requireWriteAccess, async (req, res) => {
+    try {
+        const { status, ...details } = req.body || {};
+        res.json(store.expandStatement(await store.reviewStatement(req.params.id, status, details)));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.post('/api/statements/:id/quote-edits', requireWriteAccess, async (req, res) => {
+    try {
+        const { quote, ...details } = req.body || {};
+        await store.editQuote(req.params.id, quote, details);
+        const statement = await archive.verifyStatement(req.params.id);
+        await store.save();
+        res.json(store.expandStatement(statement));
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+app.get('/api/review/reason-codes', (req, res) => {
+    res.json({ states: store.review.states, transitions: store.review.transitions, reasonCodes: store.review.reasonCodes });
+});
+
+app.get('/api/review/issues', (req, res) => {
+    const statements = store.list('statements', { entityId: req.query.entityId, dataset: req.query.dataset });
+    res.json(store.review.issueLog(statements));
+});
+
+// Public input, so every field is a bounded string: maximum length per field
+const coverageRequestLimits = { name: 120, office: 120, state: 40, party: 60, candidateUrl: 500, email: 254, note: 1000 };
+
+function coverageRequestFields(body) {
+    const fields = {};
+
+    Object.keys(coverageRequestLimits).forEach(field => {
+        const value = body[field];
+        if (value === undefined || value === null || value === '') return;
+        if (typeof value !== 'string') {
+            throw new InvalidInputError(`${field} must be text`);
+        }
+        if (value.length > coverageRequestLimits[field]) {
+            throw new InvalidInputError(`${field} must be at most ${coverageRequestLimits[field]} characters`);
+        }
+        if (value.trim()) fields[field] = value.trim();
+    });
+
+    if (!fields.name || !fields.office) {
+        throw new InvalidInputError('name and office are required');
+    }
+    if (fields.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(fields.email)) {
+        throw new InvalidInputError(`"${fields.email}" is not a valid email address`);
+    }
+    if (fields.candidateUrl && !/^https?:\/\//i.test(fields.candidateUrl)) {
+        throw new InvalidInputError('candidateUrl must be an http(s) address');
+    }
+    return fields;
+}
+
+// Requests from ballot lookups to score a candidate we do not cover yet; open to the public, so rate-limited like the ballot routes
+app.post('/api/coverage-requests', ballotRateLimiter.middleware(), async (req, res) => {
     try {
-        const { address } = req.body;
+        const request = await store.requestCoverage(coverageRequestFields(req.body || {}));
+        res.status(201).json({ id: request.id, name: request.name, office: request.office, state: request.state, requestCount: request.requestCount });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Requester emails are private, so reading the list needs the admin key like writes do
+app.get('/api/coverage-requests', requireWriteAccess, (req, res) => {
+    const requests = store.list('coverageRequests', { state: req.query.state });
+    res.json(requests.sort((a, b) => b.requestCount - a.requestCount));
+});
+
+// Source archive: snapshots of cited pages, named by the SHA-256 of their content
+app.get('/api/archive/status', (req, res) => {
+    const sources = store.list('sources').filter(source => source.url);
+    const counts = {};
+    sources.forEach(source => {
+        const status = source.linkStatus || 'unchecked';
+        counts[status] = (counts[status] || 0) + 1;
+    });
+    
+    res.json({
+        sources: counts,
+        flagged: archive.flagged().map(statement => ({
+            id: statement.id,
+            entityId: statement.entityId,
+            topicId: statement.topicId,
+            sourceId: statement.sourceId,
+            status: statement.sourceCheck.status,
+            description: archive.describe(statement.sourceCheck.status),
+            changedAt: statement.sourceCheck.changedAt || null,
+            archivedCopy: archive.snapshotFor(statement) ? `/api/archive/${archive.snapshotFor(statement)}` : null
+        }))
+    });
+});
+
+// Statement ids from the JSON data files (legacyId) are accepted too; entityId and dataset pick between repeats
+function findStatement(req) {
+    return store.data.statements[req.params.id]
+        || store.list('statements', { legacyId: req.params.id, entityId: req.query.entityId, dataset: req.query.dataset })[0];
+}
+
+app.get('/api/archive/by-statement/:id', (req, res) => {
+    const statement = findStatement(req);
+    const sha256 = statement ? archive.snapshotFor(statement) : null;
+    
+    if (!sha256) {
+        return sendError(res, new NotFoundError(`No archived copy for statement "${req.params.id}"`));
+    }
+    res.redirect(`/api/archive/${sha256}`);
+});
+
+app.get('/api/archive/:sha256', async (req, res) => {
+    try {
+        const snapshot = await archive.readSnapshot(req.params.sha256);
+        if (!snapshot) {
+            return sendError(res, new NotFoundError(`No snapshot "${req.params.sha256}"`));
+        }
         
-        if (!address) {
-            return res.status(400).json({ error: 'Address is required' });
+        // Archived pages are untrusted: served sandboxed so their scripts cannot run on this origin
+        res.set({
+            'Content-Type': snapshot.contentType,
+            'Content-Security-Policy': 'sandbox',
+            'X-Content-Type-Options': 'nosniff',
+            'X-Archived-From': snapshot.url,
+            'X-Archived-At': snapshot.fetchedAt
+        });
+        res.send(snapshot.content);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Quote verification against the archived source; read lazily by the statement tooltip
+app.get('/api/statements/:id/verification', (req, res) => {
+    const statement = findStatement(req);
+    if (!statement) {
+        return sendError(res, new NotFoundError(`No statement with id "${req.params.id}"`));
+    }
+    
+    const verification = statement.quoteVerification || { status: 'unchecked' };
+    res.json({
+        statementId: statement.id,
+        ...verification,
+        description: archive.verifier.describe(verification.status),
+        archivedCopy: verification.document ? `/api/archive/${verification.document}` : null
+    });
+});
+
+app.post('/api/sources/:id/transcripts', requireWriteAccess, async (req, res) => {
+    try {
+        const { text, contentType } = req.body || {};
+        if (!text || typeof text !== 'string') {
+            throw new InvalidInputError('A transcript needs its text');
         }
+        const source = await archive.addTranscript(req.params.id, text, contentType);
+        await store.save();
+        res.status(201).json(source);
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        // Call Google Civic API with YOUR secure key
-        const response = await fetch(
-            `https://www.googleapis.com/civicinfo/v2/voterinfo?` + 
-            `key=${process.env.GOOGLE_CIVIC_API_KEY}&` +
-            `address=${encodeURIComponent(address)}&` +
-            `electionId=2000&` +
-            `returnAllAvailableData=true`
-        );
+// Runs the checker now, for one source ({ "sourceId": "src_0001" }) or all of them
+app.post('/api/archive/check', requireWriteAccess, async (req, res) => {
+    try {
+        const { sourceId } = req.body || {};
+        if (sourceId) {
+            const result = await archive.checkSource(sourceId);
+            await store.save();
+            return res.json(result);
+        }
+        res.json(await archive.checkAll());
+    } catch (error) {
+        sendError(res, error);
+    }
+});
 
-        if (!response.ok) {
-            throw new Error(`Google Civic API error: ${response.status}`);
+// Read-only scorecards computed from the statement store
+// ?weighting=, ?overall= and ?consensus= select the same modes as the page's controls
+function scoringOptions(query) {
+    const choices = {
+        weightingStrategy: ['weighting', Object.keys(scorecardBuilder.weighting.strategies)],
+        overallMode: ['overall', Object.keys(alignmentScoring.overallModes)],
+        consensusMode: ['consensus', Object.keys(alignmentScoring.consensusHistory.modes)]
+    };
+    const options = {};
+    
+    Object.keys(choices).forEach(option => {
+        const [param, allowed] = choices[option];
+        if (query[param] === undefined) return;
+        if (!allowed.includes(query[param])) {
+            throw new InvalidInputError(`${param} must be one of: ${allowed.join(', ')}`);
         }
+        options[option] = query[param];
+    });
+    
+    return options;
+}
+
+// Leaderboards and comparisons cover one data file, so the invented demo figures are never ranked or compared with real ones
+function datasetOption(query) {
+    const datasets = DATA_FILES.map(entry => entry.dataset);
+    if (query.dataset === undefined) return 'real';
+    if (!datasets.includes(query.dataset)) {
+        throw new InvalidInputError(`dataset must be one of: ${datasets.join(', ')}`);
+    }
+    return query.dataset;
+}
 
-        const data = await response.json();
+// Store records rebuilt into the data-file shape the scoring code reads
+function scoredEntities(entityRecords, options) {
+    const consensus = {};
+    store.list('topics').forEach(topic => { consensus[topic.id] = topic; });
+    
+    return entityRecords.map(record => {
+        const positions = {};
+        store.list('statements', { entityId: record.id }).forEach(statement => {
+            const source = statement.sourceId ? store.data.sources[statement.sourceId] : null;
+            positions[statement.topicId] = positions[statement.topicId] || { statements: [] };
+            positions[statement.topicId].statements.push({
+                ...statement,
+                source: source ? source.title : undefined,
+                sourceUrl: source ? source.url : undefined
+            });
+        });
         
-        // Process and return the data
-        const processedData = {
-            normalizedAddress: data.normalizedInput?.line1 || address,
-            election: data.election || null,
-            pollingLocations: data.pollingLocations || [],
-            contests: (data.contests || []).map(contest => ({
-                office: contest.office,
-                district: contest.district?.name || '',
-                candidates: (contest.candidates || []).map(candidate => ({
-                    name: candidate.name,
-                    party: candidate.party || '',
-                    candidateUrl: candidate.candidateUrl || '',
-                    channels: candidate.channels || []
-                }))
-            }))
-        };
-
-        res.json(processedData);
+        return scorecardBuilder.buildEntity(record.id, { ...record, positions }, consensus, options);
+    });
+}
 
+app.get('/api/entities/:id/scorecard', (req, res) => {
+    try {
+        const options = scoringOptions(req.query);
+        const [entity] = scoredEntities([store.get('entities', req.params.id)], options);
+        res.json(scorecardBuilder.summarizeEntity(entity, options));
     } catch (error) {
-        console.error('Ballot lookup error:', error);
-        res.status(500).json({ 
-            error: 'Failed to fetch ballot information',
-            message: error.message 
+        sendError(res, error);
+    }
+});
+
+app.get('/api/topics/:id/leaderboard', (req, res) => {
+    try {
+        const options = scoringOptions(req.query);
+        const dataset = datasetOption(req.query);
+        const topic = store.get('topics', req.params.id);
+        const entities = scoredEntities(store.list('entities', { dataset, entityType: req.query.entityType }), options);
+        res.json({
+            topicId: topic.id,
+            statement: topic.statement,
+            consensusPosition: topic.consensusPosition,
+            consensusWidth: topic.consensusWidth,
+            entries: scorecardBuilder.leaderboard(entities, topic.id),
+            options: { ...scorecardBuilder.defaults, ...options, dataset }
         });
+    } catch (error) {
+        sendError(res, error);
+    }
+});
+
+// Metadata of each data file, as the page reads it, so its elections are matched only to the records imported from it
+function datasetMetadata(dataset) {
+    return DATA_FILES
+        .filter(entry => entry.dataset === dataset)
+        .map(({ file, dataset }) => ({ dataset, metadata: require(`./${file}`).metadata }));
+}
+
+// Keys are those of the page's comparison groups: dataset elections, then state-and-office elections
+app.get('/api/elections/:key/comparison', (req, res) => {
+    try {
+        const options = scoringOptions(req.query);
+        const dataset = datasetOption(req.query);
+        const entities = scoredEntities(store.list('entities', { dataset }), options);
+        const byKey = entry => entry.key === req.params.key;
+        // A state-and-office election with the same members as a dataset election is listed only once, but its key still works
+        const election = comparisonGroups.groups(entities, datasetMetadata(dataset)).find(byKey)
+            || scorecardBuilder.elections(entities).find(byKey);
+        if (!election) {
+            throw new NotFoundError(`No election with key "${req.params.key}"`);
+        }
+        res.json({ ...scorecardBuilder.comparison(election, options), options: { ...scorecardBuilder.defaults, ...options, dataset } });
+    } catch (error) {
+        sendError(res, error);
     }
 });
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+    res.json({
+        status: 'OK',
+        timestamp: new Date().toISOString(),
+        ballotProvider: ballotProvider.name,
+        ballotCache: ballotCache.summary(),
+        rateLimit: ballotRateLimiter.summary()
+    });
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Science Scorecard API running on port ${PORT}`);
-    console.log(`📍 Allowed origins: ${allowedOrigins.join(', ')}`);
-    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`🔑 Google Civic API: ${process.env.GOOGLE_CIVIC_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+// Typed errors and StoreErrors passed to next(), including CORS rejections, become { error, code } responses
+app.use(errorHandler);
+
+Promise.all([store.load(), ballotCache.load()]).then(() => {
+    app.listen(PORT, () => {
+        console.log(`🚀 Science Scorecard API running on port ${PORT}`);
+        console.log(`📍 Allowed origins: ${allowedOrigins.join(', ')}`);
+        console.log(`🌍 Environment: ${process.env.NODE_ENV || 'not set'}`);
+        console.log(`🗳️ Ballot provider: ${ballotProvider.name}, cached ${ballotCache.parameters.ttlHours}h${ballotCache.filePath ? ` in ${ballotCache.filePath}` : ''}, ${ballotRateLimiter.parameters.limit} lookups per ${ballotRateLimiter.parameters.windowMs / 60000} min per client`);
+        if (ballotProvider.name === 'civic') {
+            console.log(`🔑 Google Civic API: ${process.env.GOOGLE_CIVIC_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+        }
+        console.log(`🗄️ Statement store: ${store.filePath}${store.isEmpty() ? ' (empty - run npm run import-data)' : ''}`);
+        console.log(`✏️ Data writes: ${describeWriteAccess()}`);
+        
+        const checkHours = Number(process.env.ARCHIVE_CHECK_HOURS ?? 24);
+        if (checkHours > 0) {
+            archive.schedule(checkHours);
+        }
+        console.log(`🗃️ Source archive: ${archive.archiveDir}, ${checkHours > 0 ? `checked every ${checkHours}h` : 'periodic check disabled'}`);
+    });
+}).catch(error => {
+    console.error('❌ Could not load the statement store or ballot cache:', error);
+    process.exit(1);
 });
\ No newline at end of file
@@ -0,0 +1,481 @@
+/**
+ * Source Archive
+ * Science Alignment Scorecard - snapshots of cited pages and link-rot detection
+ *
+ * Node.js only. Each source url in the statement store is fetched and saved
+ * under DATA_DIR/archive, named by the SHA-256 of its content, so identical
+ * snapshots are stored once and a snapshot can never change after the fact.
+ * For every statement the text around its quote is hashed; a later check
+ * that finds different text there, or no page at all, flags the statement.
+ * With a QuoteVerifier, each check also verifies the quotes against the
+ * snapshot and any transcripts uploaded for the source.
+ *
+ * Source urls are user-submitted and snapshots are served publicly, so the
+ * archiver only fetches public addresses: hosts that resolve to loopback,
+ * private or link-local addresses are refused, before the request, on every
+ * redirect and again when the connection is made.
+ *
+ * Usage: node source-archive.js [sourceId]
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const fetch = require('node-fetch');
+
+class SourceArchive {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.archiveDir = options.archiveDir || path.join(path.dirname(store.filePath), 'archive');
+        this.fetch = options.fetch || fetch;
+        this.verifier = options.verifier || null;     // Optional QuoteVerifier
+
+        this.parameters = {
+            timeoutMs: 20000,               // Give up on a page after this long
+            maxBytes: 10 * 1024 * 1024,     // Larger downloads are not archived
+            contextChars: 150,              // Characters either side of the quote that are hashed
+            failuresBeforeVanished: 3,      // Timeouts and server errors in a row before a source counts as gone
+            maxRedirects: 5
+        };
+
+        // Addresses inside the server's own network, never fetched. BlockList
+        // applies the IPv4 ranges to IPv4-mapped IPv6 addresses as well.
+        this.blockedAddresses = new net.BlockList();
+        [
+            ['0.0.0.0', 8, 'ipv4'],         // "This" network
+            ['10.0.0.0', 8, 'ipv4'],        // Private
+            ['100.64.0.0', 10, 'ipv4'],     // Carrier-grade NAT
+            ['127.0.0.0', 8, 'ipv4'],       // Loopback
+            ['169.254.0.0', 16, 'ipv4'],    // Link-local, including cloud metadata at 169.254.169.254
+            ['172.16.0.0', 12, 'ipv4'],     // Private
+            ['192.0.0.0', 24, 'ipv4'],      // IETF protocol assignments
+            ['192.168.0.0', 16, 'ipv4'],    // Private
+            ['198.18.0.0', 15, 'ipv4'],     // Benchmarking
+            ['224.0.0.0', 3, 'ipv4'],       // Multicast and reserved
+            ['::', 128, 'ipv6'],            // Unspecified
+            ['::1', 128, 'ipv6'],           // Loopback
+            ['fc00::', 7, 'ipv6'],          // Unique local
+            ['fe80::', 10, 'ipv6'],         // Link-local
+            ['ff00::', 8, 'ipv6']           // Multicast
+        ].forEach(([address, prefix, type]) => this.blockedAddresses.addSubnet(address, prefix, type));
+
+        // Connections re-check the address they resolve to, so a host cannot
+        // pass the check and then resolve somewhere else (DNS rebinding)
+        const lookup = (hostname, options, callback) => this.publicLookup(hostname, options, callback);
+        this.agents = {
+            'http:': new http.Agent({ lookup }),
+            'https:': new https.Agent({ lookup })
+        };
+
+        // sourceCheck.status of a statement
+        this.statuses = {
+            'archived': 'Source archived; text around the quote unchanged',
+            'quote-not-found': 'Source archived, but the quote was not found in its text',
+            'changed': 'The text around the quote has changed since it was archived',
+            'unreachable': 'Source could not be fetched on the last check',
+            'vanished': 'Source no longer exists'
+        };
+    }
+
+    /**
+     * 1. SNAPSHOTS
+     * Returns { snapshot } or { error, httpStatus, gone }. gone is true when
+     * the server says the page no longer exists (404, 410). Redirects are
+     * followed here rather than by fetch, so each target is checked first.
+     */
+    async fetchSnapshot(url) {
+        let target = url;
+        let response;
+
+        for (let redirects = 0; ; redirects++) {
+            const refusal = await this.refuseUrl(target);
+            if (refusal) return { error: refusal, httpStatus: null, gone: false };
+
+            try {
+                response = await this.fetch(target, {
+                    timeout: this.parameters.timeoutMs,
+                    size: this.parameters.maxBytes,
+                    redirect: 'manual',
+                    agent: parsed => this.agents[parsed.protocol],
+                    headers: { 'User-Agent': 'ScienceScorecardArchiver/1.0 (+source preservation)' }
+                });
+            } catch (error) {
+                // DNS failures mean the whole site is gone; anything else may be temporary
+                return { error: error.message, httpStatus: null, gone: error.code === 'ENOTFOUND' };
+            }
+
+            const location = [301, 302, 303, 307, 308].includes(response.status) && response.headers.get('location');
+            if (!location) break;
+            if (redirects >= this.parameters.maxRedirects) {
+                return { error: `More than ${this.parameters.maxRedirects} redirects`, httpStatus: response.status, gone: false };
+            }
+            target = new URL(location, target).toString();
+        }
+
+        if (!response.ok) {
+            return { error: `HTTP ${response.status}`, httpStatus: response.status, gone: [404, 410].includes(response.status) };
+        }
+
+        let content;
+        try {
+            content = await response.buffer();
+        } catch (error) {
+            // Body over maxBytes or stalled past the timeout; the page itself may still be there
+            return { error: error.message, httpStatus: response.status, gone: false };
+        }
+
+        const sha256 = await this.write(content);
+
+        return {
+            content,
+            snapshot: {
+                sha256,
+                url: response.url,
+                fetchedAt: new Date().toISOString(),
+                httpStatus: response.status,
+                contentType: response.headers.get('content-type') || 'application/octet-stream',
+                bytes: content.length
+            }
+        };
+    }
+
+    // Why a url may not be fetched, or null when it may
+    async refuseUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'Not an http(s) url';
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) return 'Not an http(s) url';
+
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname)) {
+            return this.isBlockedAddress(hostname) ? `${hostname} is a private or local address` : null;
+        }
+
+        let addresses;
+        try {
+            addresses = await dns.promises.lookup(hostname, { all: true });
+        } catch (error) {
+            return null;    // Left to the fetch, which reports a missing host as gone
+        }
+        const blocked = addresses.find(entry => this.isBlockedAddress(entry.address));
+        return blocked ? `${hostname} resolves to a private or local address (${blocked.address})` : null;
+    }
+
+    isBlockedAddress(address) {
+        const type = net.isIP(address) === 6 ? 'ipv6' : 'ipv4';
+        return this.blockedAddresses.check(address, type);
+    }
+
+    // dns.lookup for the agents, failing when any address the host resolves to is blocked
+    publicLookup(hostname, options, callback) {
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = addresses.find(entry => this.isBlockedAddress(entry.address));
+            if (blocked) {
+                const refusal = new Error(`${hostname} resolves to a private or local address (${blocked.address})`);
+                refusal.code = 'EADDRBLOCKED';
+                return callback(refusal);
+            }
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    // Stores content under its hash unless already archived; returns the hash
+    async write(content) {
+        const sha256 = this.hash(content);
+        const filePath = this.snapshotPath(sha256);
+
+        if (!fs.existsSync(filePath)) {
+            await fs.promises.mkdir(this.archiveDir, { recursive: true });
+            await fs.promises.writeFile(filePath, content);
+        }
+        return sha256;
+    }
+
+    // Transcripts are for sources whose quote is spoken, e.g. a video; they are archived like pages
+    async addTranscript(sourceId, text, contentType = 'text/plain') {
+        const source = this.store.get('sources', sourceId);
+        const content = Buffer.from(text, 'utf8');
+        const sha256 = await this.write(content);
+        const transcripts = source.transcripts || [];
+
+        if (!transcripts.some(transcript => transcript.sha256 === sha256)) {
+            this.store.patch('sources', sourceId, {
+                transcripts: [...transcripts, {
+                    sha256,
+                    url: source.url,
+                    fetchedAt: new Date().toISOString(),
+                    contentType,
+                    bytes: content.length
+                }]
+            });
+        }
+
+        await this.verifySource(sourceId);
+        return this.store.get('sources', sourceId);
+    }
+
+    async readSnapshot(sha256) {
+        if (!/^[a-f0-9]{64}$/.test(sha256)) return null;
+
+        const meta = this.store.list('sources')
+            .flatMap(source => [...(source.snapshots || []), ...(source.transcripts || [])])
+            .find(snapshot => snapshot.sha256 === sha256);
+        if (!meta) return null;
+
+        return { ...meta, content: await fs.promises.readFile(this.snapshotPath(sha256)) };
+    }
+
+    snapshotPath(sha256) {
+        return path.join(this.archiveDir, sha256);
+    }
+
+    hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    /**
+     * 2. QUOTE CONTEXT
+     * Pages are reduced to lower-case words so markup and whitespace changes
+     * do not count as changes to the text.
+     */
+    textOf(content, contentType = '') {
+        // The verifier also reads PDFs and transcripts
+        if (this.verifier) return this.normalize(this.verifier.extractText(content, contentType)) || null;
+
+        // Without it, PDF and other binary formats cannot be read; their quotes are never found
+        if (!/html|text|json|xml/i.test(contentType)) return null;
+
+        const text = content.toString('utf8')
+            .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/&(#39|#x27|apos|rsquo|lsquo);/g, '\'')
+            .replace(/&(quot|ldquo|rdquo);/g, '"');
+
+        return this.normalize(text);
+    }
+
+    normalize(text) {
+        return (text || '')
+            .toLowerCase()
+            .replace(/[‘’]/g, '\'')
+            .replace(/[“”]/g, '"')
+            .replace(/[^a-z0-9'%$.,]+/g, ' ')
+            .trim();
+    }
+
+    // Hash of the quote with the text around it, or found: false when the quote is not on the page
+    quoteContext(text, quote) {
+        const needle = this.normalize(quote);
+        const index = text && needle ? text.indexOf(needle) : -1;
+        if (index === -1) return { found: false, hash: null };
+
+        const chars = this.parameters.contextChars;
+        const context = text.slice(Math.max(0, index - chars), index + needle.length + chars);
+        return { found: true, hash: this.hash(context) };
+    }
+
+    /**
+     * 3. CHECKING
+     * Fetches a source, stores a new snapshot when its content changed, and
+     * updates sourceCheck on every statement citing it. The snapshot a quote
+     * was first found in is kept as the statement's archived copy.
+     */
+    async checkSource(sourceId) {
+        const source = this.store.get('sources', sourceId);
+        const statements = this.store.dependants('sources', sourceId);
+
+        // A source cited by title alone (a book, a broadcast) has nothing to fetch and is left as it is
+        if (!this.isArchivable(source)) {
+            return { sourceId, status: 'not-archivable', statements: statements.length };
+        }
+
+        const checkedAt = new Date().toISOString();
+        const result = await this.fetchSnapshot(source.url);
+
+        if (result.error) {
+            const failures = (source.failures || 0) + 1;
+            const vanished = result.gone || failures >= this.parameters.failuresBeforeVanished;
+            const status = vanished ? 'vanished' : 'unreachable';
+
+            this.store.patch('sources', sourceId, { linkStatus: status, lastCheckedAt: checkedAt, failures, lastError: result.error });
+            statements.forEach(statement => {
+                this.store.patch('statements', statement.id, {
+                    sourceCheck: { ...statement.sourceCheck, status, checkedAt }
+                });
+            });
+            return { sourceId, status, error: result.error, statements: statements.length };
+        }
+
+        const snapshots = source.snapshots || [];
+        const isNew = !snapshots.some(snapshot => snapshot.sha256 === result.snapshot.sha256);
+        this.store.patch('sources', sourceId, {
+            snapshots: isNew ? [...snapshots, result.snapshot] : snapshots,
+            linkStatus: 'archived',
+            lastCheckedAt: checkedAt,
+            failures: 0,
+            lastError: null
+        });
+
+        const text = this.textOf(result.content, result.snapshot.contentType);
+        const counts = {};
+        statements.forEach(statement => {
+            const check = this.checkStatement(statement, text, result.snapshot.sha256, checkedAt);
+            counts[check.status] = (counts[check.status] || 0) + 1;
+            this.store.patch('statements', statement.id, { sourceCheck: check });
+        });
+
+        await this.verifySource(sourceId);
+        return { sourceId, status: 'archived', newSnapshot: isNew, statements: counts };
+    }
+
+    /**
+     * Verifies the quote of every statement citing the source against its
+     * latest snapshot and its transcripts; results go to quoteVerification.
+     */
+    async verifySource(sourceId) {
+        if (!this.verifier) return;
+
+        const documents = await this.documentsFor(this.store.get('sources', sourceId));
+        this.store.dependants('sources', sourceId).forEach(statement => {
+            this.store.patch('statements', statement.id, {
+                quoteVerification: this.verifier.verifyAgainst(statement.quote, documents)
+            });
+        });
+    }
+
+    async verifyStatement(statementId) {
+        const statement = this.store.get('statements', statementId);
+        if (!this.verifier || !statement.sourceId) return statement;
+
+        const documents = await this.documentsFor(this.store.get('sources', statement.sourceId));
+        if (documents.length === 0) return statement;
+
+        return this.store.patch('statements', statementId, {
+            quoteVerification: this.verifier.verifyAgainst(statement.quote, documents)
+        });
+    }
+
+    async documentsFor(source) {
+        const snapshots = source.snapshots || [];
+        const entries = [
+            ...snapshots.slice(-1).map(snapshot => ({ ...snapshot, kind: 'page' })),
+            ...(source.transcripts || []).map(transcript => ({ ...transcript, kind: 'transcript' }))
+        ];
+
+        return Promise.all(entries.map(async entry => ({
+            sha256: entry.sha256,
+            kind: entry.kind,
+            text: this.verifier.extractText(await fs.promises.readFile(this.snapshotPath(entry.sha256)), entry.contentType)
+        })));
+    }
+
+    checkStatement(statement, text, sha256, checkedAt) {
+        const previous = statement.sourceCheck || {};
+        const context = this.quoteContext(text, statement.quote);
+
+        // First time the quote is found: this snapshot becomes the reference copy
+        if (!previous.contextHash) {
+            return {
+                status: context.found ? 'archived' : 'quote-not-found',
+                contextHash: context.hash,
+                snapshot: context.found ? sha256 : previous.snapshot || sha256,
+                checkedAt,
+                changedAt: null
+            };
+        }
+
+        const unchanged = context.found && context.hash === previous.contextHash;
+        return {
+            ...previous,
+            status: unchanged ? 'archived' : 'changed',
+            checkedAt,
+            changedAt: unchanged ? null : previous.changedAt || checkedAt
+        };
+    }
+
+    isArchivable(source) {
+        return typeof source.url === 'string' && /^https?:\/\//i.test(source.url.trim());
+    }
+
+    // Checks every source with an http(s) url, one at a time, and saves once at the end
+    async checkAll() {
+        const summary = { sources: 0, archived: 0, unreachable: 0, vanished: 0 };
+
+        for (const source of this.store.list('sources').filter(entry => this.isArchivable(entry))) {
+            const result = await this.checkSource(source.id);
+            summary.sources++;
+            summary[result.status]++;
+        }
+
+        await this.store.save();
+        return summary;
+    }
+
+    // Runs checkAll every intervalHours without keeping the process alive; returns the timer
+    schedule(intervalHours) {
+        const run = () => this.checkAll()
+            .then(summary => console.log(`🗃️ Source check: ${summary.sources} sources, ${summary.vanished} vanished, ${summary.unreachable} unreachable`))
+            .catch(error => console.error('Source check failed:', error));
+
+        const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+        timer.unref();
+        return timer;
+    }
+
+    /**
+     * 4. LOOKUP
+     */
+    snapshotFor(statement) {
+        if (statement.sourceCheck && statement.sourceCheck.snapshot) return statement.sourceCheck.snapshot;
+
+        const source = statement.sourceId ? this.store.data.sources[statement.sourceId] : null;
+        const snapshots = (source && source.snapshots) || [];
+        return snapshots.length > 0 ? snapshots[snapshots.length - 1].sha256 : null;
+    }
+
+    // Statements flagged by the checker, for review
+    flagged() {
+        return this.store.list('statements')
+            .filter(statement => statement.sourceCheck && ['changed', 'vanished', 'unreachable'].includes(statement.sourceCheck.status));
+    }
+
+    describe(status) {
+        return this.statuses[status] || status;
+    }
+}
+
+module.exports = SourceArchive;
+
+if (require.main === module) {
+    const StatementStore = require('./statement-store');
+    const QuoteVerifier = require('./quote-verifier');
+
+    (async () => {
+        const store = await new StatementStore().load();
+        const archive = new SourceArchive(store, { verifier: new QuoteVerifier() });
+        const sourceId = process.argv[2];
+
+        if (sourceId) {
+            console.log(await archive.checkSource(sourceId));
+            await store.save();
+        } else {
+            const summary = await archive.checkAll();
+            console.log(`✅ Checked ${summary.sources} sources: ${summary.archived} archived, ${summary.unreachable} unreachable, ${summary.vanished} vanished`);
+        }
+    })().catch(error => {
+        console.error('❌ Source check failed:', error.message);
+        process.exit(1);
+    });
+}
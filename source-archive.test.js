@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SourceArchive = require('./source-archive');
+const StatementStore = require('./statement-store');
+
+async function storeWithSources(t) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'source-archive-'));
+    t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+    const store = await new StatementStore({ dataDir }).load();
+    await store.create('entities', { id: 'senator', name: 'Jane Senator' });
+    await store.create('topics', { id: 'vaccines', statement: 'Vaccines are safe', consensusPosition: 90, consensusWidth: 10 });
+    const book = await store.create('sources', { title: 'Memoir, chapter 4' });
+    const ftp = await store.create('sources', { title: 'Old archive', url: 'ftp://example.org/speech.txt' });
+    await store.create('statements', { entityId: 'senator', topicId: 'vaccines', sourceId: book.id, quote: 'Vaccines work', position: 90, date: '2024-03-01' });
+    return { store, sources: [book, ftp] };
+}
+
+test('sources without an http(s) url are not fetched and never counted as failing', async t => {
+    const { store, sources } = await storeWithSources(t);
+    const archive = new SourceArchive(store, { fetch: () => assert.fail('nothing should be fetched') });
+
+    for (let check = 0; check < archive.parameters.failuresBeforeVanished + 1; check++) {
+        for (const source of sources) {
+            const result = await archive.checkSource(source.id);
+            assert.equal(result.status, 'not-archivable');
+        }
+    }
+
+    sources.forEach(source => {
+        const stored = store.get('sources', source.id);
+        assert.equal(stored.linkStatus, undefined);
+        assert.equal(stored.failures, undefined);
+    });
+    assert.ok(store.list('statements').every(statement => !statement.sourceCheck));
+    assert.deepEqual(archive.flagged(), []);
+});
+
+test('the periodic check skips sources it cannot fetch', async t => {
+    const { store } = await storeWithSources(t);
+    const archive = new SourceArchive(store, { fetch: () => assert.fail('nothing should be fetched') });
+
+    assert.deepEqual(await archive.checkAll(), { sources: 0, archived: 0, unreachable: 0, vanished: 0 });
+});
@@ -0,0 +1,215 @@
+/**
+ * Statement Browser
+ * Science Alignment Scorecard - every statement across entities, searchable and faceted
+ *
+ * Flattens scored entities into one row per statement, then searches,
+ * filters, sorts and exports those rows. Search matches every word (or
+ * "quoted phrase") of the query against the quote and its context. Facet
+ * counts for one facet apply every other filter, so they show how many
+ * statements picking that value would add.
+ */
+
+class StatementBrowser {
+    constructor(options = {}) {
+        this.scoring = options.scoring;         // AlignmentScoring, for each statement's alignment
+        this.weighting = options.weighting;     // StatementWeighting, for the source type
+
+        // Position buckets follow the 0-100 agreement scale of the distribution bars
+        this.buckets = [
+            { id: 'strongly-disagree', label: 'Strongly disagree (0-19)', min: 0, max: 20 },
+            { id: 'disagree', label: 'Disagree (20-39)', min: 20, max: 40 },
+            { id: 'neutral', label: 'Neutral (40-59)', min: 40, max: 60 },
+            { id: 'agree', label: 'Agree (60-79)', min: 60, max: 80 },
+            { id: 'strongly-agree', label: 'Strongly agree (80-100)', min: 80, max: 101 }
+        ];
+
+        this.sourceTypeLabels = {
+            debate_transcript: 'Debate or hearing transcript',
+            policy_paper: 'Policy paper or report',
+            interview: 'Interview',
+            press_release: 'Press release',
+            other: 'Other'
+        };
+
+        this.facets = ['topics', 'entities', 'parties', 'sourceTypes', 'verification', 'buckets'];
+
+        this.sorts = {
+            'date-desc': { label: 'Newest first', compare: (a, b) => this.compareDates(b, a) },
+            'date-asc': { label: 'Oldest first', compare: (a, b) => this.compareDates(a, b) },
+            'alignment-desc': { label: 'Most aligned first', compare: (a, b) => b.alignment - a.alignment },
+            'alignment-asc': { label: 'Least aligned first', compare: (a, b) => a.alignment - b.alignment },
+            'position-desc': { label: 'Strongest agreement first', compare: (a, b) => b.position - a.position },
+            'position-asc': { label: 'Strongest disagreement first', compare: (a, b) => a.position - b.position },
+            'entity': { label: 'Name (A-Z)', compare: (a, b) => a.entityName.localeCompare(b.entityName) || this.compareDates(b, a) }
+        };
+
+        this.csvColumns = [
+            'entityId', 'entityName', 'entityType', 'party', 'topicId', 'topic', 'statementId', 'date',
+            'position', 'alignment', 'quote', 'context', 'source', 'sourceUrl', 'sourceType', 'verified'
+        ];
+    }
+
+    /**
+     * 1. ROWS
+     * entities - scored entities as built by ScorecardBuilder; statements
+     * without a numeric position are left out, as they are from scoring.
+     */
+    collect(entities) {
+        const rows = [];
+
+        entities.forEach(entity => {
+            entity.topics.forEach(topic => {
+                topic.candidateStatements.forEach(statement => {
+                    if (typeof statement.position !== 'number' || isNaN(statement.position)) return;
+
+                    rows.push({
+                        entityId: entity.id,
+                        entityName: entity.name,
+                        entityType: entity.entityType,
+                        party: entity.party || null,
+                        topicId: topic.topicId,
+                        topic: topic.statement,
+                        statementId: statement.id || null,
+                        date: statement.date || null,
+                        position: statement.position,
+                        alignment: Math.round(this.scoring.alignStatement(statement, topic)),
+                        bucket: this.bucketOf(statement.position),
+                        quote: statement.quote || '',
+                        context: statement.context || '',
+                        source: statement.source || '',
+                        sourceUrl: statement.sourceUrl || statement.url || null,
+                        sourceType: this.weighting.classifySource(statement),
+                        verified: statement.verified === true
+                    });
+                });
+            });
+        });
+
+        return rows;
+    }
+
+    bucketOf(position) {
+        const bucket = this.buckets.find(entry => position >= entry.min && position < entry.max);
+        return bucket ? bucket.id : this.buckets[this.buckets.length - 1].id;
+    }
+
+    /**
+     * 2. SEARCH AND FILTERS
+     * criteria - { query, from, to, and one array of selected values per
+     * facet }. An empty facet array means no filter; values within a facet
+     * are alternatives, facets combine.
+     */
+    filter(rows, criteria = {}, skipFacet = null) {
+        const terms = this.searchTerms(criteria.query);
+        const selected = facet => facet !== skipFacet && criteria[facet] && criteria[facet].length > 0;
+
+        return rows.filter(row => {
+            if (terms.length > 0) {
+                const text = `${row.quote} ${row.context}`.toLowerCase();
+                if (!terms.every(term => text.includes(term))) return false;
+            }
+            if (criteria.from && (!row.date || row.date < criteria.from)) return false;
+            if (criteria.to && (!row.date || row.date > criteria.to)) return false;
+
+            return this.facets.every(facet => !selected(facet) || criteria[facet].includes(this.facetValue(row, facet)));
+        });
+    }
+
+    // Words and "quoted phrases", lower case
+    searchTerms(query) {
+        const terms = [];
+        const pattern = /"([^"]+)"|(\S+)/g;
+        let match;
+        while ((match = pattern.exec(query || '')) !== null) {
+            terms.push((match[1] || match[2]).toLowerCase());
+        }
+        return terms;
+    }
+
+    facetValue(row, facet) {
+        switch (facet) {
+            case 'topics': return row.topicId;
+            case 'entities': return row.entityId;
+            case 'parties': return row.party || 'none';
+            case 'sourceTypes': return row.sourceType;
+            case 'verification': return row.verified ? 'verified' : 'unverified';
+            case 'buckets': return row.bucket;
+            default: return null;
+        }
+    }
+
+    /**
+     * Counts per value of one facet, over the rows every other filter lets
+     * through; returns [{ value, label, count }] in first-seen order, except
+     * buckets, which keep scale order.
+     */
+    facetCounts(rows, criteria, facet) {
+        const counts = new Map();
+        rows.forEach(row => {
+            const value = this.facetValue(row, facet);
+            if (!counts.has(value)) counts.set(value, { value, label: this.facetLabel(row, facet), count: 0 });
+        });
+        this.filter(rows, criteria, facet).forEach(row => {
+            counts.get(this.facetValue(row, facet)).count++;
+        });
+
+        const entries = Array.from(counts.values());
+        if (facet === 'buckets') {
+            return this.buckets.map(bucket => counts.get(bucket.id)).filter(entry => entry);
+        }
+        return entries;
+    }
+
+    facetLabel(row, facet) {
+        switch (facet) {
+            case 'topics': return row.topic;
+            case 'entities': return row.entityName;
+            case 'parties': return row.party || 'No party';
+            case 'sourceTypes': return this.sourceTypeLabels[row.sourceType] || row.sourceType;
+            case 'verification': return row.verified ? 'Verified' : 'Unverified';
+            case 'buckets': return this.buckets.find(bucket => bucket.id === row.bucket).label;
+            default: return '';
+        }
+    }
+
+    /**
+     * 3. SORTING
+     * Undated statements come after dated ones whatever the order.
+     */
+    sort(rows, sortKey = 'date-desc') {
+        const sort = this.sorts[sortKey] || this.sorts['date-desc'];
+        return [
+            ...rows.filter(row => row.date).sort(sort.compare),
+            ...rows.filter(row => !row.date).sort(sort.compare)
+        ];
+    }
+
+    compareDates(a, b) {
+        return (a.date || '').localeCompare(b.date || '');
+    }
+
+    /**
+     * 4. CSV EXPORT
+     * RFC 4180: fields with commas, quotes or line breaks are quoted, quotes doubled.
+     */
+    toCsv(rows) {
+        const escape = value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        return [
+            this.csvColumns.join(','),
+            ...rows.map(row => this.csvColumns.map(column => escape(row[column])).join(','))
+        ].join('\r\n');
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementBrowser;
+}
+
+if (typeof window !== 'undefined') {
+    window.StatementBrowser = StatementBrowser;
+}
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlignmentScoring = require('./alignment-scoring');
+const StatementBrowser = require('./statement-browser');
+const StatementWeighting = require('./statement-weighting');
+
+const browser = new StatementBrowser({ scoring: new AlignmentScoring(), weighting: new StatementWeighting() });
+
+const entities = [
+    {
+        id: 'senator',
+        name: 'Jane Senator',
+        entityType: 'candidate',
+        party: 'Independent',
+        topics: [
+            {
+                topicId: 'vaccines',
+                statement: 'Vaccines are safe',
+                consensusPosition: 90,
+                consensusWidth: 0,
+                candidateStatements: [
+                    { id: 'v1', date: '2023-05-01', position: 90, quote: 'Vaccines save lives, "full stop".', source: 'Senate floor speech', verified: true },
+                    { id: 'v2', position: 30, quote: 'I have questions about the schedule', source: 'Radio interview' },
+                    { id: 'v3', date: '2024-02-10', position: 60, quote: 'Most vaccines\nare well tested', context: 'Town hall on public health', source: 'Press release' }
+                ]
+            },
+            { topicId: 'climate', statement: 'Climate change is human-caused', consensusPosition: 95, consensusWidth: 5, candidateStatements: [] }
+        ]
+    },
+    {
+        id: 'agency',
+        name: 'Health Agency',
+        entityType: 'organization',
+        topics: [
+            {
+                topicId: 'vaccines',
+                statement: 'Vaccines are safe',
+                consensusPosition: 90,
+                consensusWidth: 0,
+                candidateStatements: [
+                    { id: 'a1', date: '2022-11-20', position: 95, quote: 'Vaccine safety is monitored continuously', source: 'Policy paper' },
+                    { id: 'a2', date: '2024-01-01', quote: 'No position recorded' }
+                ]
+            }
+        ]
+    }
+];
+
+const rows = browser.collect(entities);
+
+test('rows cover every positioned statement, and an empty topic adds none', () => {
+    assert.deepEqual(rows.map(row => row.statementId), ['v1', 'v2', 'v3', 'a1']);
+    assert.ok(!rows.some(row => row.topicId === 'climate'));
+    assert.deepEqual(browser.collect([]), []);
+});
+
+test('alignment against a zero-width consensus is 100 on the consensus and finite off it', () => {
+    const byId = Object.fromEntries(rows.map(row => [row.statementId, row]));
+
+    assert.equal(byId.v1.alignment, 100);
+    assert.ok(byId.v3.alignment > 0 && byId.v3.alignment < byId.a1.alignment);
+    assert.equal(byId.v2.bucket, 'disagree');
+    assert.equal(byId.a1.bucket, 'strongly-agree');
+    assert.equal(byId.a1.party, null);
+});
+
+test('undated statements sort after dated ones in either direction', () => {
+    assert.deepEqual(browser.sort(rows, 'date-desc').map(row => row.statementId), ['v3', 'v1', 'a1', 'v2']);
+    assert.deepEqual(browser.sort(rows, 'date-asc').map(row => row.statementId), ['a1', 'v1', 'v3', 'v2']);
+    assert.deepEqual(browser.sort(rows, 'no-such-sort'), browser.sort(rows, 'date-desc'));
+});
+
+test('date filters leave out undated statements', () => {
+    assert.deepEqual(browser.filter(rows, { from: '2023-01-01' }).map(row => row.statementId), ['v1', 'v3']);
+    assert.deepEqual(browser.filter(rows, { to: '2023-01-01' }).map(row => row.statementId), ['a1']);
+    assert.equal(browser.filter(rows, {}).length, rows.length);
+});
+
+test('search matches every word or quoted phrase in the quote and context', () => {
+    assert.deepEqual(browser.searchTerms('Vaccines "public health"  safe'), ['vaccines', 'public health', 'safe']);
+    assert.deepEqual(browser.filter(rows, { query: 'vaccines "public health"' }).map(row => row.statementId), ['v3']);
+    assert.deepEqual(browser.filter(rows, { query: 'vaccine' }).map(row => row.statementId), ['v1', 'v3', 'a1']);
+    assert.deepEqual(browser.filter(rows, { query: 'vaccine moon' }), []);
+});
+
+test('facet counts apply every filter except their own facet', () => {
+    const criteria = { entities: ['senator'], verification: ['verified'] };
+
+    assert.deepEqual(browser.facetCounts(rows, criteria, 'entities').map(entry => [entry.value, entry.count]), [['senator', 1], ['agency', 0]]);
+    assert.deepEqual(browser.facetCounts(rows, criteria, 'verification').map(entry => [entry.value, entry.count]), [['verified', 1], ['unverified', 2]]);
+    assert.deepEqual(browser.facetCounts(rows, {}, 'parties').map(entry => entry.label), ['Independent', 'No party']);
+    assert.deepEqual(browser.facetCounts(rows, {}, 'buckets').map(entry => entry.value), ['disagree', 'agree', 'strongly-agree']);
+});
+
+test('CSV export quotes commas, quotes and line breaks', () => {
+    const lines = browser.toCsv(browser.sort(rows, 'date-asc')).split('\r\n');
+
+    assert.equal(lines[0], browser.csvColumns.join(','));
+    assert.equal(lines.length, rows.length + 1);
+    assert.ok(lines[2].includes(',"Vaccines save lives, ""full stop"".",'));
+    assert.ok(lines[3].includes(',"Most vaccines\nare well tested",'));
+    assert.equal(browser.toCsv([]), browser.csvColumns.join(','));
+});
@@ -0,0 +1,241 @@
+/**
+ * Statement Review
+ * Science Alignment Scorecard - ingestion workflow and provenance of statements
+ *
+ * A statement moves submitted → source-checked → scored → published, and
+ * can be rejected from any state with a reason code. Every move records the
+ * reviewer, a timestamp and an optional note; every change to a quote after
+ * submission keeps the previous wording. Only published statements count
+ * toward public scores. Statements without a status predate the workflow
+ * and are treated as published.
+ */
+
+class StatementReview {
+    constructor() {
+        this.states = {
+            'submitted': { label: 'Submitted', description: 'Awaiting a check of the quote against its source' },
+            'source-checked': { label: 'Source checked', description: 'Quote and source confirmed; awaiting a position score' },
+            'scored': { label: 'Scored', description: 'Position assigned; awaiting publication' },
+            'published': { label: 'Published', description: 'Counts toward public scores' },
+            'rejected': { label: 'Rejected', description: 'Kept for the record, never scored' }
+        };
+
+        // Allowed moves; a statement can be sent back a step for rework
+        this.transitions = {
+            'submitted': ['source-checked', 'rejected'],
+            'source-checked': ['scored', 'submitted', 'rejected'],
+            'scored': ['published', 'source-checked', 'rejected'],
+            'published': ['source-checked', 'rejected'],
+            'rejected': ['submitted']
+        };
+
+        this.reasonCodes = {
+            rejection: {
+                'unverifiable-quote': 'Quote could not be found in the cited source',
+                'source-unavailable': 'Cited source no longer exists or cannot be accessed',
+                'misattributed': 'Quote was said by someone else',
+                'out-of-context': 'Quote misrepresents the speaker\'s position without its context',
+                'off-topic': 'Statement does not address the topic it was filed under',
+                'duplicate': 'Same statement is already recorded'
+            },
+            quoteEdit: {
+                'exact-wording': 'Matched to the exact wording of the source',
+                'transcription-error': 'Fixed a typing or transcription error',
+                'context-added': 'Added surrounding words needed to read the quote fairly'
+            }
+        };
+
+        // Set only through the workflow, never by a plain update
+        this.protectedFields = ['status', 'submittedBy', 'submittedAt', 'reviewHistory', 'quoteHistory'];
+    }
+
+    /**
+     * 1. SUBMISSION
+     * Workflow fields for a new statement. initial.status lets trusted
+     * importers enter statements that were reviewed before the workflow existed.
+     */
+    submit(initial = {}) {
+        const at = initial.at || new Date().toISOString();
+        const status = this.has(this.states, initial.status) ? initial.status : 'submitted';
+
+        return {
+            status,
+            submittedBy: initial.submittedBy || null,
+            submittedAt: at,
+            reviewHistory: [{
+                from: null,
+                to: status,
+                reviewer: initial.submittedBy || null,
+                at,
+                note: initial.note || null
+            }],
+            quoteHistory: []
+        };
+    }
+
+    /**
+     * 2. TRANSITIONS
+     * check() returns the problems that block a move (empty when allowed);
+     * transition() returns the changed fields and assumes check() passed.
+     */
+    check(statement, to, details = {}) {
+        const from = this.statusOf(statement);
+        const problems = [];
+
+        if (!this.has(this.states, to)) {
+            return [`Unknown status "${to}"; expected one of: ${Object.keys(this.states).join(', ')}`];
+        }
+        if (!this.transitions[from].includes(to)) {
+            problems.push(`A ${from} statement cannot move to ${to}; allowed: ${this.transitions[from].join(', ')}`);
+        }
+        if (!details.reviewer) {
+            problems.push('A reviewer is required');
+        }
+        if (to === 'rejected' && !this.has(this.reasonCodes.rejection, details.reasonCode)) {
+            problems.push(`Rejection needs a reasonCode: ${Object.keys(this.reasonCodes.rejection).join(', ')}`);
+        }
+        if (to === 'source-checked' && !(statement.sourceId || statement.sourceUrl || statement.source)) {
+            problems.push('A statement needs a source before it can be source-checked');
+        }
+        if (to === 'scored' && typeof statement.position !== 'number') {
+            problems.push('A statement needs a position before it can be scored');
+        }
+
+        return problems;
+    }
+
+    transition(statement, to, details = {}) {
+        const entry = {
+            from: this.statusOf(statement),
+            to,
+            reviewer: details.reviewer,
+            at: details.at || new Date().toISOString(),
+            reasonCode: to === 'rejected' ? details.reasonCode : null,
+            note: details.note || null
+        };
+        const changes = {
+            status: to,
+            reviewHistory: [...(statement.reviewHistory || []), entry]
+        };
+
+        // A quote confirmed against its source is verified for statement weighting
+        if (to === 'source-checked') changes.verified = true;
+        if (to === 'submitted') changes.verified = false;
+
+        return changes;
+    }
+
+    /**
+     * 3. QUOTE EDITS
+     * Quotes can be rewritten freely while submitted; afterwards each edit
+     * needs a reviewer and a reason code, and the old wording is kept.
+     */
+    checkQuoteEdit(statement, quote, details = {}) {
+        const problems = [];
+
+        if (quote !== undefined && quote !== null && typeof quote !== 'string') problems.push('The new quote must be text');
+        else if (!quote || !quote.trim()) problems.push('The new quote is empty');
+        if (quote === statement.quote) problems.push('The new quote is the same as the current one');
+        if (!details.reviewer) problems.push('A reviewer is required');
+        if (!this.has(this.reasonCodes.quoteEdit, details.reasonCode)) {
+            problems.push(`Quote edits need a reasonCode: ${Object.keys(this.reasonCodes.quoteEdit).join(', ')}`);
+        }
+
+        return problems;
+    }
+
+    editQuote(statement, quote, details = {}) {
+        return {
+            quote: quote.trim(),
+            quoteHistory: [...(statement.quoteHistory || []), {
+                previous: statement.quote,
+                editedBy: details.reviewer,
+                editedAt: details.at || new Date().toISOString(),
+                reasonCode: details.reasonCode,
+                note: details.note || null
+            }]
+        };
+    }
+
+    requiresReviewedEdit(statement) {
+        return this.statusOf(statement) !== 'submitted';
+    }
+
+    /**
+     * 4. READING
+     */
+    statusOf(statement) {
+        return statement.status || 'published';
+    }
+
+    isPublished(statement) {
+        return this.statusOf(statement) === 'published';
+    }
+
+    describe(status) {
+        return this.has(this.states, status) ? this.states[status].label : status;
+    }
+
+    describeReason(code) {
+        if (this.has(this.reasonCodes.rejection, code)) return this.reasonCodes.rejection[code];
+        if (this.has(this.reasonCodes.quoteEdit, code)) return this.reasonCodes.quoteEdit[code];
+        return code;
+    }
+
+    // Own keys only: names such as "toString" are never a status or reason code
+    has(map, key) {
+        return typeof key === 'string' && Object.prototype.hasOwnProperty.call(map, key);
+    }
+
+    /**
+     * Resolved data issues (rejections and quote edits) as structured
+     * records, newest first; the format of dataIssuesResolved in the data files.
+     */
+    issueLog(statements) {
+        const issues = [];
+
+        statements.forEach(statement => {
+            const rejection = this.statusOf(statement) === 'rejected'
+                ? [...(statement.reviewHistory || [])].reverse().find(entry => entry.to === 'rejected')
+                : null;
+            if (rejection) {
+                issues.push({
+                    id: `${statement.id}_removed`,
+                    action: 'removed',
+                    entityId: statement.entityId,
+                    topicId: statement.topicId,
+                    statementIds: [statement.id],
+                    reasonCode: rejection.reasonCode,
+                    reviewer: rejection.reviewer,
+                    resolvedAt: rejection.at,
+                    note: rejection.note
+                });
+            }
+
+            (statement.quoteHistory || []).forEach((edit, index) => {
+                issues.push({
+                    id: `${statement.id}_quote_${index + 1}`,
+                    action: 'quote-edited',
+                    entityId: statement.entityId,
+                    topicId: statement.topicId,
+                    statementIds: [statement.id],
+                    reasonCode: edit.reasonCode,
+                    reviewer: edit.editedBy,
+                    resolvedAt: edit.editedAt,
+                    note: edit.note
+                });
+            });
+        });
+
+        return issues.sort((a, b) => new Date(b.resolvedAt) - new Date(a.resolvedAt));
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementReview;
+}
+
+if (typeof window !== 'undefined') {
+    window.StatementReview = StatementReview;
+}
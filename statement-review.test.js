@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StatementReview = require('./statement-review');
+
+const review = new StatementReview();
+const scored = { status: 'scored', quote: 'Vaccines work', source: 'Senate debate', position: 85 };
+
+test('names inherited from Object.prototype are not statuses', () => {
+    ['toString', 'constructor', '__proto__', 'hasOwnProperty'].forEach(status => {
+        assert.deepEqual(review.check(scored, status, { reviewer: 'ana' }), [
+            `Unknown status "${status}"; expected one of: ${Object.keys(review.states).join(', ')}`
+        ]);
+        assert.equal(review.submit({ status }).status, 'submitted');
+        assert.equal(review.describe(status), status);
+    });
+});
+
+test('names inherited from Object.prototype are not reason codes', () => {
+    ['toString', 'valueOf', 'constructor'].forEach(reasonCode => {
+        assert.equal(review.check(scored, 'rejected', { reviewer: 'ana', reasonCode }).length, 1);
+        assert.equal(review.checkQuoteEdit(scored, 'Vaccines work well', { reviewer: 'ana', reasonCode }).length, 1);
+        assert.equal(review.describeReason(reasonCode), reasonCode);
+    });
+});
+
+test('known statuses and reason codes still pass', () => {
+    assert.deepEqual(review.check(scored, 'rejected', { reviewer: 'ana', reasonCode: 'duplicate' }), []);
+    assert.deepEqual(review.check(scored, 'published', { reviewer: 'ana' }), []);
+    assert.deepEqual(review.checkQuoteEdit(scored, 'Vaccines work well', { reviewer: 'ana', reasonCode: 'exact-wording' }), []);
+    assert.equal(review.describe('source-checked'), 'Source checked');
+    assert.equal(review.describeReason('duplicate'), review.reasonCodes.rejection.duplicate);
+});
+
+test('a quote edit that is not text is a problem to report, not an exception', () => {
+    const details = { reviewer: 'ana', reasonCode: 'exact-wording' };
+
+    [5, { text: 'Vaccines work' }, ['Vaccines work'], true].forEach(quote => {
+        assert.deepEqual(review.checkQuoteEdit(scored, quote, details), ['The new quote must be text']);
+    });
+    [undefined, null, '', '   '].forEach(quote => {
+        assert.deepEqual(review.checkQuoteEdit(scored, quote, details), ['The new quote is empty']);
+    });
+});
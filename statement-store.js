@@ -0,0 +1,363 @@
+/**
+ * Statement Store
+ * Science Alignment Scorecard - file-backed database of entities, topics, statements and sources
+ *
+ * Node.js only. All records live in one JSON file (DATA_DIR/scorecard-db.json
+ * by default) that is loaded into memory and rewritten after each change.
+ * Writes go through a queue and a temporary file, so concurrent requests
+ * never interleave and a crash cannot leave a half-written database.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EntityModel = require('./entity-model');
+const StatementReview = require('./statement-review');
+
+class StoreError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'StoreError';
+        this.status = status;     // HTTP status the API should answer with
+    }
+}
+
+class StatementStore {
+    constructor(options = {}) {
+        const dataDir = options.dataDir || process.env.DATA_DIR || path.join(__dirname, 'data');
+        this.filePath = options.filePath || path.join(dataDir, 'scorecard-db.json');
+        this.entityModel = new EntityModel();
+        this.review = new StatementReview();
+
+        // Fields only the server sets: the review workflow, source archive and quote verification results
+        this.protectedFields = {
+            statements: [...this.review.protectedFields, 'sourceCheck', 'quoteVerification']
+        };
+
+        this.collections = ['entities', 'topics', 'statements', 'sources', 'coverageRequests'];
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * 1. PERSISTENCE
+     */
+    async load() {
+        try {
+            this.data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = {};
+        }
+
+        this.collections.forEach(collection => {
+            this.data[collection] = this.data[collection] || {};
+        });
+        this.data.metadata = this.data.metadata || { createdAt: new Date().toISOString() };
+        return this;
+    }
+
+    save() {
+        this.data.metadata.updatedAt = new Date().toISOString();
+        const snapshot = JSON.stringify(this.data, null, 2);
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        return this.writeQueue;
+    }
+
+    isEmpty() {
+        return this.collections.every(collection => Object.keys(this.data[collection]).length === 0);
+    }
+
+    /**
+     * 2. CRUD
+     * filters match fields exactly, e.g. { entityId: 'kari_lake' }.
+     */
+    list(collection, filters = {}) {
+        this.checkCollection(collection);
+        return Object.values(this.data[collection]).filter(record =>
+            Object.keys(filters).every(field => filters[field] === undefined || String(record[field]) === String(filters[field]))
+        );
+    }
+
+    get(collection, id) {
+        this.checkCollection(collection);
+        const record = this.data[collection][id];
+        if (!record) {
+            throw new StoreError(`No ${this.singular(collection)} with id "${id}"`, 404);
+        }
+        return record;
+    }
+
+    // options.review sets the initial workflow fields of a statement (see StatementReview.submit)
+    async create(collection, fields, options = {}) {
+        this.checkCollection(collection);
+        if (fields.id && this.data[collection][fields.id]) {
+            throw new StoreError(`A ${this.singular(collection)} with id "${fields.id}" already exists`, 409);
+        }
+
+        const record = this.prepare(collection, this.withoutProtected(collection, fields));
+        record.id = record.id || this.generateId(collection, record);
+        if (collection === 'statements') {
+            Object.assign(record, this.review.submit({ submittedBy: fields.submittedBy, ...options.review }));
+        }
+
+        const now = new Date().toISOString();
+        this.data[collection][record.id] = { ...record, createdAt: now, updatedAt: now };
+        await this.save();
+        return this.data[collection][record.id];
+    }
+
+    async update(collection, id, changes) {
+        const existing = this.get(collection, id);
+        const { id: ignoredId, createdAt, ...allowed } = this.withoutProtected(collection, changes);
+        if (collection === 'statements' && allowed.quote !== undefined && allowed.quote !== existing.quote
+            && this.review.requiresReviewedEdit(existing)) {
+            throw new StoreError(`Statement "${id}" is ${existing.status}; change its quote through /quote-edits so the old wording is kept`, 409);
+        }
+        const record = this.prepare(collection, { ...existing, ...allowed });
+        if (collection === 'statements' && record.sourceId !== existing.sourceId) {
+            // Archive and verification results belonged to the old source
+            delete record.sourceCheck;
+            delete record.quoteVerification;
+        }
+
+        this.data[collection][id] = { ...record, id, updatedAt: new Date().toISOString() };
+        await this.save();
+        return this.data[collection][id];
+    }
+
+    async remove(collection, id) {
+        const record = this.get(collection, id);
+        const dependants = this.dependants(collection, id);
+        if (dependants.length > 0) {
+            throw new StoreError(`The ${this.singular(collection)} "${id}" still has ${dependants.length} statement(s); delete them first`, 409);
+        }
+
+        delete this.data[collection][id];
+        await this.save();
+        return record;
+    }
+
+    /**
+     * 3. REVIEW WORKFLOW
+     * details: { reviewer, reasonCode, note }
+     */
+    async reviewStatement(id, status, details = {}) {
+        const statement = this.get('statements', id);
+        const problems = this.review.check(statement, status, details);
+        if (problems.length > 0) {
+            // A move the current status does not allow conflicts with the record; anything else is bad input
+            const allowed = this.review.transitions[this.review.statusOf(statement)];
+            throw new StoreError(problems.join('; '), this.review.has(this.review.states, status) && !allowed.includes(status) ? 409 : 400);
+        }
+
+        return this.applyReview(id, this.review.transition(statement, status, details));
+    }
+
+    async editQuote(id, quote, details = {}) {
+        const statement = this.get('statements', id);
+        const problems = this.review.checkQuoteEdit(statement, quote, details);
+        if (problems.length > 0) {
+            throw new StoreError(problems.join('; '));
+        }
+
+        // The archive's hash of the text around the old quote, and its verification, no longer apply
+        return this.applyReview(id, { ...this.review.editQuote(statement, quote, details), sourceCheck: null, quoteVerification: null });
+    }
+
+    async applyReview(id, changes) {
+        const statement = this.patch('statements', id, changes);
+        await this.save();
+        return statement;
+    }
+
+    // Sets fields without validation, for annotations made by the server itself;
+    // the caller saves, so a batch of changes is written once
+    patch(collection, id, changes) {
+        const record = this.get(collection, id);
+        this.data[collection][id] = { ...record, ...changes, updatedAt: new Date().toISOString() };
+        return this.data[collection][id];
+    }
+
+    withoutProtected(collection, fields) {
+        const record = { ...fields };
+        (this.protectedFields[collection] || []).forEach(field => { delete record[field]; });
+        return record;
+    }
+
+    /**
+     * 4. COVERAGE REQUESTS
+     * Ballot candidates we have not scored yet. Repeat requests for the same
+     * candidate, office and state are counted on one record.
+     */
+    async requestCoverage(fields) {
+        const request = this.prepare('coverageRequests', { ...fields });
+        const key = record => [record.name, record.office, record.state || '']
+            .map(value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()).join('|');
+        const existing = this.list('coverageRequests').find(record => key(record) === key(request));
+
+        if (!existing) {
+            return this.create('coverageRequests', {
+                name: request.name,
+                office: request.office,
+                state: request.state || null,
+                party: request.party || null,
+                candidateUrl: request.candidateUrl || null,
+                requestCount: 1,
+                requesters: request.email ? [{ email: request.email, note: request.note || null, at: new Date().toISOString() }] : []
+            });
+        }
+
+        const requesters = request.email && !existing.requesters.some(entry => entry.email === request.email)
+            ? [...existing.requesters, { email: request.email, note: request.note || null, at: new Date().toISOString() }]
+            : existing.requesters;
+        const record = this.patch('coverageRequests', existing.id, { requestCount: existing.requestCount + 1, requesters });
+        await this.save();
+        return record;
+    }
+
+    /**
+     * 5. VALIDATION
+     * Each collection checks its own required fields and references.
+     */
+    prepare(collection, record) {
+        switch (collection) {
+            case 'entities':
+                this.requireFields(record, ['name']);
+                if (record.entityType && !this.entityModel.types[record.entityType]) {
+                    throw new StoreError(`entityType must be one of: ${Object.keys(this.entityModel.types).join(', ')}`);
+                }
+                return this.entityModel.normalize(record, record.id);
+            case 'topics':
+                this.requireFields(record, ['statement', 'consensusPosition', 'consensusWidth']);
+                this.requireRange(record, 'consensusPosition', 0, 100);
+                this.requireRange(record, 'consensusWidth', 0, 100);
+                return record;
+            case 'statements':
+                this.requireFields(record, ['entityId', 'topicId', 'position', 'quote', 'date']);
+                this.requireRange(record, 'position', 0, 100);
+                this.requireReference('entities', record.entityId, 'entityId');
+                this.requireReference('topics', record.topicId, 'topicId');
+                if (isNaN(new Date(record.date).getTime())) {
+                    throw new StoreError(`date "${record.date}" is not a valid date`);
+                }
+                return this.attachSource(record);
+            case 'sources':
+                if (!record.url && !record.title) {
+                    throw new StoreError('A source needs a url or a title');
+                }
+                return record;
+            case 'coverageRequests':
+                this.requireFields(record, ['name', 'office']);
+                if (record.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(record.email)) {
+                    throw new StoreError(`"${record.email}" is not a valid email address`);
+                }
+                return record;
+        }
+    }
+
+    requireFields(record, fields) {
+        const missing = fields.filter(field => record[field] === undefined || record[field] === null || record[field] === '');
+        if (missing.length > 0) {
+            throw new StoreError(`Missing required field(s): ${missing.join(', ')}`);
+        }
+    }
+
+    requireReference(collection, id, field) {
+        if (!this.data[collection][id]) {
+            throw new StoreError(`${field} "${id}" does not match any ${this.singular(collection)}`);
+        }
+    }
+
+    requireRange(record, field, min, max) {
+        const value = Number(record[field]);
+        if (isNaN(value) || value < min || value > max) {
+            throw new StoreError(`${field} must be a number from ${min} to ${max}`);
+        }
+        record[field] = value;
+    }
+
+    // Statements reference a shared source record; an inline { source: {...} } or legacy
+    // source/sourceUrl strings are resolved to one, reusing an existing source with the same url
+    attachSource(record) {
+        const { source, sourceUrl, ...statement } = record;
+        const inline = source && typeof source === 'object'
+            ? source
+            : (source || sourceUrl) ? { title: source, url: sourceUrl } : null;
+
+        if (inline && !statement.sourceId) {
+            const existing = this.list('sources').find(entry =>
+                inline.url ? entry.url === inline.url && entry.title === inline.title : entry.title === inline.title
+            );
+            statement.sourceId = existing ? existing.id : this.addSource(inline).id;
+        } else if (statement.sourceId) {
+            this.requireReference('sources', statement.sourceId, 'sourceId');
+        }
+
+        return statement;
+    }
+
+    addSource(fields) {
+        const record = this.prepare('sources', { ...fields });
+        record.id = this.generateId('sources', record);
+        const now = new Date().toISOString();
+        this.data.sources[record.id] = { ...record, createdAt: now, updatedAt: now };
+        return this.data.sources[record.id];
+    }
+
+    dependants(collection, id) {
+        const field = { entities: 'entityId', topics: 'topicId', sources: 'sourceId' }[collection];
+        return field ? this.list('statements', { [field]: id }) : [];
+    }
+
+    // Statement with its source record inlined, as returned by the API
+    expandStatement(statement) {
+        return {
+            ...statement,
+            source: statement.sourceId ? this.data.sources[statement.sourceId] || null : null
+        };
+    }
+
+    /**
+     * 6. IDS
+     * Entities and topics get a slug of their name; statements and sources a
+     * sequential id.
+     */
+    generateId(collection, record) {
+        if (collection === 'entities' || collection === 'topics') {
+            const base = (record.name || record.statement).toLowerCase()
+                .replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 40);
+            return this.uniqueId(collection, base);
+        }
+
+        const prefix = { statements: 'stmt', sources: 'src', coverageRequests: 'cov' }[collection];
+        const count = Object.keys(this.data[collection]).length + 1;
+        return this.uniqueId(collection, `${prefix}_${String(count).padStart(4, '0')}`);
+    }
+
+    uniqueId(collection, base) {
+        let id = base;
+        for (let suffix = 2; this.data[collection][id]; suffix++) {
+            id = `${base}_${suffix}`;
+        }
+        return id;
+    }
+
+    checkCollection(collection) {
+        if (!this.collections.includes(collection)) {
+            throw new StoreError(`Unknown collection "${collection}"`, 404);
+        }
+    }
+
+    singular(collection) {
+        return { entities: 'entity', topics: 'topic', statements: 'statement', sources: 'source', coverageRequests: 'coverage request' }[collection];
+    }
+}
+
+module.exports = StatementStore;
+module.exports.StoreError = StoreError;
@@ -0,0 +1,136 @@
+/**
+ * Statement Weighting Strategies
+ * Science Alignment Scorecard - how much each statement counts toward a score
+ *
+ * Every strategy returns one weight in (0, 1] per statement. A weight of 1 is
+ * a full observation; the Bayesian model treats the sum of weights as the
+ * effective number of statements, so down-weighted evidence also widens the
+ * credible interval.
+ */
+
+class StatementWeighting {
+    constructor() {
+        this.parameters = {
+            halfLifeDays: 365,      // A statement one year older than the newest counts half as much
+            undatedWeight: 0.5      // Recency weight of a statement without a date: as much as one a half-life old
+        };
+
+        this.sourceTypeWeights = {
+            debate_transcript: 1.0,  // Unscripted, on the record, adversarial setting
+            policy_paper: 1.0,       // Considered written position
+            interview: 0.85,         // On the record but shaped by the questions asked
+            press_release: 0.7,      // Staff-written messaging
+            other: 0.8
+        };
+
+        this.verificationWeights = {
+            verified: 1.0,
+            unverified: 0.4
+        };
+
+        this.strategies = {
+            equal: {
+                label: 'Equal weights',
+                description: 'Every statement counts the same'
+            },
+            recency: {
+                label: 'Recency-weighted',
+                description: `Exponential decay with a ${this.parameters.halfLifeDays}-day half-life from the most recent dated statement; undated statements count ${this.parameters.undatedWeight}`
+            },
+            source: {
+                label: 'Source-weighted',
+                description: 'Debate transcripts and policy papers count more than interviews and press releases'
+            },
+            verified: {
+                label: 'Verification-weighted',
+                description: 'Unverified statements count less than verified ones'
+            },
+            combined: {
+                label: 'Recency × source × verification',
+                description: 'Product of the recency, source and verification weights'
+            }
+        };
+    }
+
+    /**
+     * 1. SOURCE CLASSIFICATION
+     * Uses an explicit sourceType when the data provides one, otherwise infers
+     * it from the free-text source description.
+     */
+    classifySource(statement) {
+        if (statement.sourceType && this.sourceTypeWeights[statement.sourceType] !== undefined) {
+            return statement.sourceType;
+        }
+
+        const source = `${statement.source || ''} ${statement.context || ''}`.toLowerCase();
+
+        if (/debate|transcript|hearing|floor speech/.test(source)) return 'debate_transcript';
+        if (/press release|press conference|announcement|statement from/.test(source)) return 'press_release';
+        if (/policy paper|white paper|op-ed|report|resolution|congressional action/.test(source)) return 'policy_paper';
+        if (/interview|podcast|radio|tv|town hall/.test(source)) return 'interview';
+        return 'other';
+    }
+
+    /**
+     * 2. WEIGHT CALCULATION
+     */
+    weightsFor(statements, strategy = 'equal') {
+        if (!this.strategies[strategy]) {
+            throw new Error(`Unknown weighting strategy: ${strategy}`);
+        }
+
+        // Undated statements neither set nor move the reference date
+        const dates = statements.map(statement => this.parseDate(statement.date)).filter(date => !isNaN(date));
+        const newest = dates.length > 0 ? Math.max(...dates) : NaN;
+
+        return statements.map(statement => {
+            switch (strategy) {
+                case 'recency':
+                    return this.recencyWeight(statement, newest);
+                case 'source':
+                    return this.sourceWeight(statement);
+                case 'verified':
+                    return this.verificationWeight(statement);
+                case 'combined':
+                    return this.recencyWeight(statement, newest) * this.sourceWeight(statement) * this.verificationWeight(statement);
+                default:
+                    return 1;
+            }
+        });
+    }
+
+    recencyWeight(statement, newest) {
+        const date = this.parseDate(statement.date);
+        if (isNaN(date)) return this.parameters.undatedWeight;
+
+        const ageDays = (newest - date) / (1000 * 60 * 60 * 24);
+        return Math.pow(0.5, ageDays / this.parameters.halfLifeDays);
+    }
+
+    sourceWeight(statement) {
+        return this.sourceTypeWeights[this.classifySource(statement)];
+    }
+
+    verificationWeight(statement) {
+        return statement.verified === false
+            ? this.verificationWeights.unverified
+            : this.verificationWeights.verified;
+    }
+
+    describe(strategy) {
+        return this.strategies[strategy] || this.strategies.equal;
+    }
+
+    parseDate(value) {
+        return value ? new Date(value).getTime() : NaN;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatementWeighting;
+}
+
+if (typeof window !== 'undefined') {
+    window.StatementWeighting = StatementWeighting;
+}
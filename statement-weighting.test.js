@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StatementWeighting = require('./statement-weighting');
+
+const weighting = new StatementWeighting();
+
+test('an empty topic has no weights under any strategy', () => {
+    Object.keys(weighting.strategies).forEach(strategy => {
+        assert.deepEqual(weighting.weightsFor([], strategy), []);
+    });
+});
+
+test('an unknown strategy is rejected', () => {
+    assert.throws(() => weighting.weightsFor([{ date: '2024-01-01' }], 'loudest'), /Unknown weighting strategy/);
+});
+
+test('the newest dated statement gets full recency weight and a half-life older one half', () => {
+    const weights = weighting.weightsFor([
+        { date: '2024-01-01' },
+        { date: '2023-01-01' }
+    ], 'recency');
+
+    assert.equal(weights[0], 1);
+    assert.ok(Math.abs(weights[1] - 0.5) < 0.01);
+});
+
+test('undated statements get the undated weight and do not shift the reference date', () => {
+    const dated = weighting.weightsFor([{ date: '2024-01-01' }, { date: '2023-01-01' }], 'recency');
+    const mixed = weighting.weightsFor([{ date: '2024-01-01' }, {}, { date: '2023-01-01' }, { date: 'not a date' }], 'recency');
+
+    assert.deepEqual([mixed[0], mixed[2]], dated);
+    assert.equal(mixed[1], weighting.parameters.undatedWeight);
+    assert.equal(mixed[3], weighting.parameters.undatedWeight);
+});
+
+test('a topic with only undated statements still has finite weights', () => {
+    const weights = weighting.weightsFor([{}, { date: '' }], 'combined');
+
+    weights.forEach(weight => {
+        assert.ok(Number.isFinite(weight) && weight > 0 && weight <= 1);
+    });
+});
+
+test('sources are classified from an explicit type first, then from the source text', () => {
+    assert.equal(weighting.classifySource({ sourceType: 'interview', source: 'Senate debate' }), 'interview');
+    assert.equal(weighting.classifySource({ sourceType: 'tweet', source: 'Senate debate' }), 'debate_transcript');
+    assert.equal(weighting.classifySource({ source: 'Campaign press release' }), 'press_release');
+    assert.equal(weighting.classifySource({ source: 'Radio interview' }), 'interview');
+    assert.equal(weighting.classifySource({}), 'other');
+});
+
+test('the combined weight is the product of recency, source and verification', () => {
+    const statements = [
+        { date: '2024-01-01', source: 'Debate transcript' },
+        { date: '2023-01-01', source: 'Press release', verified: false }
+    ];
+    const combined = weighting.weightsFor(statements, 'combined');
+    const recency = weighting.weightsFor(statements, 'recency');
+    const source = weighting.weightsFor(statements, 'source');
+    const verified = weighting.weightsFor(statements, 'verified');
+
+    combined.forEach((weight, i) => {
+        assert.ok(Math.abs(weight - recency[i] * source[i] * verified[i]) < 1e-12);
+    });
+    assert.equal(verified[1], weighting.verificationWeights.unverified);
+});
+
+test('describe falls back to equal weights for an unknown strategy', () => {
+    assert.equal(weighting.describe('loudest'), weighting.strategies.equal);
+});
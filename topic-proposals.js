@@ -0,0 +1,185 @@
+/**
+ * Topic Proposals
+ * Science Alignment Scorecard - user-submitted claims with a scientific-claim gate
+ *
+ * A user submits a claim and the evidence sources behind it. A rule-based
+ * checker first decides whether the claim is empirical; values and policy
+ * questions ("taxes should be lower") are rejected and never scored. Accepted
+ * claims get a provisional consensus entry derived from their sources with
+ * ConsensusDerivation, in the same shape as scientific-consensus.json topics.
+ */
+
+class TopicProposals {
+    constructor(derivation) {
+        this.derivation = derivation;   // ConsensusDerivation instance, for the provisional consensus
+
+        this.parameters = {
+            minWords: 4,                // Shorter claims are too vague to test
+            defaultHalfWidth: 10        // Uncertainty assumed for a source that gives none
+        };
+
+        // Any match rejects the claim: it is about values or policy, not evidence
+        this.normativeRules = [
+            {
+                id: 'prescriptive',
+                category: 'policy',
+                pattern: /\b(should|shouldn't|ought to|must|need to|needs to|has to|have to)\b/i,
+                reason: 'Says what ought to be done ("should", "must") rather than what is the case'
+            },
+            {
+                id: 'policy-action',
+                category: 'policy',
+                pattern: /\b(ban|legali[sz]e|abolish|repeal|defund|mandate|subsidi[sz]e)\b|\b(lower|raise|cut|increase) (the )?(taxes|tax rates?|spending|funding|minimum wage)\b/i,
+                reason: 'Proposes a policy action; evidence can inform it but cannot settle it'
+            },
+            {
+                id: 'evaluative',
+                category: 'values',
+                pattern: /\b(good|bad|fair|unfair|moral|immoral|ethical|unethical|evil|deserves?|wasteful|un-american|patriotic)\b/i,
+                reason: 'Makes a value judgement ("fair", "moral", "good") that evidence cannot settle'
+            },
+            {
+                id: 'preference',
+                category: 'values',
+                pattern: /\b(i|we) (believe|feel|prefer|want|like)\b|\b(best|worst) (policy|choice|option|candidate)\b/i,
+                reason: 'Expresses a preference or belief rather than a testable claim'
+            }
+        ];
+
+        // No match is only a warning: the claim may still be empirical
+        this.empiricalSignals = /\b(cause[sd]?|causing|increase[sd]?|reduce[sd]?|prevent[sd]?|lead[s]? to|associated with|linked to|correlated with|(un)?safe|(in)?effective|harmful|toxic|dangerous|risk|rate|driver|originated|evidence|percent)\b|%|\d/i;
+
+        this.labels = {
+            'provisional': 'Provisional consensus',
+            'needs-evidence': 'Needs evidence',
+            'rejected': 'Not a scientific claim'
+        };
+    }
+
+    /**
+     * 1. SCIENTIFIC-CLAIM CHECK
+     * Returns { scientific, category, reasons, warnings }. category is
+     * 'empirical', 'values', 'policy' or 'unclear'.
+     */
+    checkClaim(claim) {
+        const text = (claim || '').trim();
+        const reasons = [];
+        const warnings = [];
+        let category = 'empirical';
+
+        if (text.split(/\s+/).filter(Boolean).length < this.parameters.minWords) {
+            return {
+                scientific: false,
+                category: 'unclear',
+                reasons: [`Claims need at least ${this.parameters.minWords} words to state something testable`],
+                warnings
+            };
+        }
+
+        if (text.endsWith('?')) {
+            reasons.push('Phrase the claim as a statement that can be agreed or disagreed with, not a question');
+            category = 'unclear';
+        }
+
+        this.normativeRules.forEach(rule => {
+            const match = text.match(rule.pattern);
+            if (match) {
+                reasons.push(`${rule.reason} (matched "${match[0]}")`);
+                if (category === 'empirical') category = rule.category;
+            }
+        });
+
+        if (reasons.length === 0 && !this.empiricalSignals.test(text)) {
+            warnings.push('No measurable outcome (cause, risk, rate, safety, effectiveness) was recognised; check the claim can be tested');
+        }
+
+        return { scientific: reasons.length === 0, category, reasons, warnings };
+    }
+
+    /**
+     * 2. PROPOSALS
+     * sources are records in the ConsensusDerivation format; position is the
+     * agreement with the claim that the source supports (0-100).
+     */
+    createProposal({ claim, sources = [], submittedBy = null }) {
+        const statement = (claim || '').trim();
+        const check = this.checkClaim(statement);
+        const proposal = {
+            id: this.proposalId(statement),
+            statement,
+            submittedBy,
+            submittedAt: new Date().toISOString(),
+            check,
+            sources: sources.map(source => this.normalizeSource(source))
+        };
+
+        if (!check.scientific) {
+            return { ...proposal, status: 'rejected', consensus: null };
+        }
+
+        const derived = this.derivation.derive({ consensusInfo: { sources: proposal.sources } });
+        if (!derived) {
+            return { ...proposal, status: 'needs-evidence', consensus: null };
+        }
+
+        return {
+            ...proposal,
+            status: 'provisional',
+            consensus: {
+                id: proposal.id,
+                statement,
+                consensusPosition: derived.consensusPosition,
+                consensusWidth: derived.consensusWidth,
+                consensusInfo: {
+                    sources: derived.sources.map(({ share, ...source }) => ({
+                        ...source,
+                        influenceWeight: Math.round(source.influenceWeight * 100) / 100
+                    })),
+                    summary: `Provisional consensus from ${derived.sources.length} user-linked source${derived.sources.length === 1 ? '' : 's'}; not yet reviewed.`,
+                    evidenceLevel: 'low',
+                    lastUpdated: proposal.submittedAt.slice(0, 10),
+                    provisional: true
+                }
+            }
+        };
+    }
+
+    normalizeSource(source) {
+        const number = value => (value === '' || value === null || value === undefined || isNaN(Number(value))) ? undefined : Number(value);
+
+        return {
+            organisation: (source.organisation || '').trim(),
+            title: (source.title || source.url || '').trim(),
+            url: source.url ? source.url.trim() : undefined,
+            publicationType: this.derivation.publicationTypeWeights[source.publicationType] !== undefined ? source.publicationType : 'other',
+            year: number(source.year),
+            sampleSize: number(source.sampleSize),
+            authorCount: number(source.authorCount),
+            position: number(source.position),
+            halfWidth: number(source.halfWidth) !== undefined ? number(source.halfWidth) : this.parameters.defaultHalfWidth
+        };
+    }
+
+    // Rejected and evidence-less proposals are kept for the record but never scored
+    isScoreable(proposal) {
+        return proposal.status === 'provisional' && proposal.consensus !== null;
+    }
+
+    proposalId(statement) {
+        const slug = statement.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 40);
+        return `proposal_${slug}_${Date.now().toString(36)}`;
+    }
+
+    describe(status) {
+        return this.labels[status] || status;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TopicProposals;
+}
+
+if (typeof window !== 'undefined') {
+    window.TopicProposals = TopicProposals;
+}
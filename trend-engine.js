@@ -0,0 +1,221 @@
+/**
+ * Trend Engine
+ * Science Alignment Scorecard - alignment series and stance shifts from dated statements
+ *
+ * Builds rolling-window and exponentially smoothed alignment series for each
+ * topic and overall, directly from statements, and detects change points
+ * where a figure's stance on a topic shifted significantly.
+ */
+
+class TrendEngine {
+    constructor(scoring) {
+        this.scoring = scoring;     // AlignmentScoring instance, for statement-level alignment
+
+        this.parameters = {
+            rollingWindowDays: 365,     // Rolling mean covers statements from the preceding year
+            smoothingHalfLifeDays: 180, // Exponential smoothing forgets half its memory in six months
+            minShift: 15,               // Smallest stance change (position points) reported
+            minShiftStatistic: 2.5,     // Shift divided by its standard error must reach this
+            noiseFloorSd: 10            // Minimum within-segment sd, so 1-3 statements cannot fake a shift
+        };
+    }
+
+    /**
+     * 1. POINT SERIES
+     * Dated statements of a topic, oldest first, with their alignment.
+     */
+    topicPoints(topic) {
+        return (topic.candidateStatements || [])
+            .filter(statement => typeof statement.position === 'number' && !isNaN(this.parseDate(statement.date)))
+            .map(statement => ({
+                date: statement.date,
+                time: this.parseDate(statement.date),
+                position: statement.position,
+                alignment: this.scoring.alignStatement(statement, topic),
+                statement
+            }))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * 2. SMOOTHED SERIES
+     * Both series have one value per statement date.
+     */
+    rollingSeries(points, windowDays = this.parameters.rollingWindowDays) {
+        const windowMs = windowDays * 24 * 60 * 60 * 1000;
+
+        return this.uniqueDates(points).map(({ date, time }) => {
+            const inWindow = points.filter(point => point.time <= time && point.time > time - windowMs);
+            return {
+                date,
+                value: inWindow.reduce((sum, point) => sum + point.alignment, 0) / inWindow.length,
+                count: inWindow.length
+            };
+        });
+    }
+
+    // Time-aware exponential smoothing: the previous value decays by the gap between statements
+    exponentialSeries(points, halfLifeDays = this.parameters.smoothingHalfLifeDays) {
+        const series = [];
+        let value = null;
+        let previousTime = null;
+
+        points.forEach(point => {
+            if (value === null) {
+                value = point.alignment;
+            } else {
+                const gapDays = (point.time - previousTime) / (24 * 60 * 60 * 1000);
+                const retain = Math.pow(0.5, gapDays / halfLifeDays);
+                value = retain * value + (1 - retain) * point.alignment;
+            }
+            previousTime = point.time;
+
+            const last = series[series.length - 1];
+            if (last && last.date === point.date) {
+                last.value = value;
+            } else {
+                series.push({ date: point.date, value });
+            }
+        });
+
+        return series;
+    }
+
+    /**
+     * 3. CHANGE-POINT DETECTION
+     * Binary segmentation on statement positions. A split is reported when
+     * the difference in mean position is at least minShift points and at
+     * least minShiftStatistic standard errors, using a noise floor so a
+     * handful of statements cannot produce a spurious shift.
+     */
+    detectChangePoints(points, topic) {
+        const changePoints = [];
+        this.segment(points, 0, points.length, topic, changePoints);
+        return changePoints.sort((a, b) => a.time - b.time);
+    }
+
+    segment(points, start, end, topic, changePoints) {
+        const best = this.bestSplit(points.slice(start, end));
+        if (!best) return;
+
+        const split = start + best.index;
+        const before = points.slice(start, split);
+        const after = points.slice(split, end);
+        const alignmentBefore = this.scoring.alignStatement({ position: best.meanBefore, date: before[before.length - 1].date }, topic);
+        const alignmentAfter = this.scoring.alignStatement({ position: best.meanAfter, date: after[0].date }, topic);
+
+        changePoints.push({
+            date: after[0].date,
+            time: after[0].time,
+            previousDate: before[before.length - 1].date,
+            positionBefore: best.meanBefore,
+            positionAfter: best.meanAfter,
+            shift: best.meanAfter - best.meanBefore,
+            alignmentChange: alignmentAfter - alignmentBefore,
+            direction: alignmentAfter >= alignmentBefore ? 'toward' : 'away',
+            statistic: best.statistic
+        });
+
+        this.segment(points, start, split, topic, changePoints);
+        this.segment(points, split, end, topic, changePoints);
+    }
+
+    bestSplit(points) {
+        let best = null;
+
+        for (let index = 1; index < points.length; index++) {
+            // Statements made on the same day cannot straddle a shift
+            if (points[index].time === points[index - 1].time) continue;
+
+            const before = points.slice(0, index).map(point => point.position);
+            const after = points.slice(index).map(point => point.position);
+            const meanBefore = this.mean(before);
+            const meanAfter = this.mean(after);
+            const shift = meanAfter - meanBefore;
+
+            const pooledSd = Math.max(this.parameters.noiseFloorSd, this.pooledSd(before, after));
+            const statistic = Math.abs(shift) / (pooledSd * Math.sqrt(1 / before.length + 1 / after.length));
+
+            if (Math.abs(shift) >= this.parameters.minShift &&
+                statistic >= this.parameters.minShiftStatistic &&
+                (!best || statistic > best.statistic)) {
+                best = { index, meanBefore, meanAfter, statistic };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 4. TOPIC AND OVERALL TRENDS
+     */
+    topicTrend(topic) {
+        const points = this.topicPoints(topic);
+
+        return {
+            topicId: topic.topicId,
+            statement: topic.statement,
+            points,
+            rolling: this.rollingSeries(points),
+            smoothed: this.exponentialSeries(points),
+            changePoints: this.detectChangePoints(points, topic)
+        };
+    }
+
+    figureTrend(topics) {
+        const topicTrends = topics.map(topic => this.topicTrend(topic));
+        const allPoints = topicTrends
+            .flatMap(trend => trend.points)
+            .sort((a, b) => a.time - b.time);
+
+        return {
+            topics: topicTrends,
+            overall: {
+                points: allPoints,
+                rolling: this.rollingSeries(allPoints),
+                smoothed: this.exponentialSeries(allPoints)
+            },
+            changePoints: topicTrends.flatMap(trend =>
+                trend.changePoints.map(changePoint => ({ ...changePoint, topicId: trend.topicId, statement: trend.statement }))
+            ).sort((a, b) => a.time - b.time)
+        };
+    }
+
+    // Helpers
+    uniqueDates(points) {
+        const seen = new Set();
+        return points.filter(point => {
+            if (seen.has(point.date)) return false;
+            seen.add(point.date);
+            return true;
+        });
+    }
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    pooledSd(a, b) {
+        const degrees = a.length + b.length - 2;
+        if (degrees <= 0) return 0;
+
+        const meanA = this.mean(a);
+        const meanB = this.mean(b);
+        const sumSquares = a.reduce((sum, v) => sum + Math.pow(v - meanA, 2), 0) +
+            b.reduce((sum, v) => sum + Math.pow(v - meanB, 2), 0);
+        return Math.sqrt(sumSquares / degrees);
+    }
+
+    parseDate(value) {
+        return value ? new Date(value).getTime() : NaN;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TrendEngine;
+}
+
+if (typeof window !== 'undefined') {
+    window.TrendEngine = TrendEngine;
+}
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AlignmentScoring = require('./alignment-scoring');
+const TrendEngine = require('./trend-engine');
+
+const engine = new TrendEngine(new AlignmentScoring());
+
+const consensus = { topicId: 'test', consensusPosition: 80, consensusWidth: 10 };
+
+// One statement a day from 2020-01-01 unless dateOf says otherwise
+const day = i => new Date(Date.UTC(2020, 0, 1 + i)).toISOString().slice(0, 10);
+const changePointsOf = (positions, dateOf = day) => engine.topicTrend({
+    ...consensus,
+    candidateStatements: positions.map((position, i) => ({ position, date: dateOf(i) }))
+}).changePoints;
+
+test('an empty topic has empty series and no change points', () => {
+    [{ topicId: 'empty', candidateStatements: [] }, { topicId: 'missing' }].forEach(topic => {
+        const trend = engine.topicTrend(topic);
+        assert.deepEqual(trend.points, []);
+        assert.deepEqual(trend.rolling, []);
+        assert.deepEqual(trend.smoothed, []);
+        assert.deepEqual(trend.changePoints, []);
+    });
+});
+
+test('undated statements are left out of the series', () => {
+    const topic = {
+        ...consensus,
+        candidateStatements: [
+            { position: 70, date: day(0) },
+            { position: 10 },
+            { position: 90, date: day(1) },
+            { position: 10, date: '' },
+            { position: 10, date: 'unknown' }
+        ]
+    };
+
+    const trend = engine.topicTrend(topic);
+    assert.equal(trend.points.length, 2);
+    assert.deepEqual(trend.points.map(point => point.position), [70, 90]);
+    assert.deepEqual(trend.changePoints, []);
+});
+
+test('the rolling series only averages statements inside the window', () => {
+    const topic = {
+        consensusPosition: 80,
+        consensusWidth: 10,
+        candidateStatements: [
+            { position: 20, date: '2020-01-01' },
+            { position: 80, date: '2021-06-01' }
+        ]
+    };
+    const rolling = engine.rollingSeries(engine.topicPoints(topic));
+
+    assert.equal(rolling.length, 2);
+    assert.equal(rolling[1].count, 1);
+    assert.equal(rolling[1].value, 100);
+});
+
+test('a single statement either side needs a shift beyond the noise floor', () => {
+    // statistic = shift / (noiseFloorSd * sqrt(2)), so 2.5 needs a shift of about 35.4
+    assert.deepEqual(changePointsOf([40, 70]), []);
+
+    const changePoints = changePointsOf([40, 80]);
+    assert.equal(changePoints.length, 1);
+    assert.equal(changePoints[0].shift, 40);
+    assert.equal(changePoints[0].direction, 'toward');
+});
+
+test('a shift below minShift is not reported however many statements back it', () => {
+    assert.deepEqual(changePointsOf([...Array(20).fill(50), ...Array(20).fill(62)]), []);
+
+    const changePoints = changePointsOf([...Array(20).fill(50), ...Array(20).fill(65)]);
+    assert.equal(changePoints.length, 1);
+    assert.equal(changePoints[0].shift, engine.parameters.minShift);
+    assert.equal(changePoints[0].date, day(20));
+    assert.ok(changePoints[0].statistic >= engine.parameters.minShiftStatistic);
+});
+
+test('a shift away from consensus is reported as such', () => {
+    const changePoints = changePointsOf([...Array(5).fill(80), ...Array(5).fill(20)]);
+
+    assert.equal(changePoints.length, 1);
+    assert.equal(changePoints[0].direction, 'away');
+    assert.ok(changePoints[0].alignmentChange < 0);
+});
+
+test('statements made on the same day cannot straddle a change point', () => {
+    assert.deepEqual(changePointsOf([...Array(5).fill(0), ...Array(5).fill(100)], () => '2020-01-01'), []);
+});
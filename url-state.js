@@ -0,0 +1,96 @@
+/**
+ * URL State
+ * Science Alignment Scorecard - shareable links and browser history for every view
+ *
+ * Maps what the page shows (tab, entity, date filter, data source,
+ * comparison election, head-to-head entities and highlighted statement) to
+ * query parameters and back. Values at their defaults are left out, so the
+ * bare page URL still opens the default view. Parsing never throws: a
+ * missing or malformed value falls back to its default, and the page drops
+ * values that name something it does not have (an unknown entity or
+ * election).
+ */
+
+class UrlState {
+    constructor() {
+        this.defaults = {
+            tab: 'candidate-analysis',
+            entity: null,
+            dates: 'all',
+            source: 'mock',
+            election: null,
+            compare: [],
+            statement: null
+        };
+
+        this.datePresets = ['all', '6months', '1year', '2years'];
+        this.sources = ['mock', 'real'];
+    }
+
+    /**
+     * 1. SERIALISING
+     * Returns '' for the default view, otherwise '?key=value&...' in a fixed order.
+     */
+    toQuery(state) {
+        const params = new URLSearchParams();
+
+        Object.keys(this.defaults).forEach(key => {
+            const value = key === 'dates' ? this.formatDates(state.dates)
+                : key === 'compare' ? (state.compare || []).join(',')
+                : state[key];
+            if (value && value !== this.defaults[key]) params.set(key, value);
+        });
+
+        const query = params.toString();
+        return query ? `?${query}` : '';
+    }
+
+    // A brushed { from, to } range is written as from..to
+    formatDates(filter) {
+        if (filter && typeof filter === 'object') return `${filter.from}..${filter.to}`;
+        return filter || this.defaults.dates;
+    }
+
+    /**
+     * 2. PARSING
+     */
+    fromQuery(search) {
+        const params = new URLSearchParams(search || '');
+        const text = key => (params.get(key) || '').trim() || null;
+
+        const source = text('source');
+        return {
+            tab: text('tab') || this.defaults.tab,
+            entity: text('entity'),
+            dates: this.parseDates(text('dates')),
+            source: this.sources.includes(source) ? source : this.defaults.source,
+            election: text('election'),
+            compare: (text('compare') || '').split(',').map(id => id.trim()).filter(id => id),
+            statement: text('statement')
+        };
+    }
+
+    parseDates(value) {
+        if (this.datePresets.includes(value)) return value;
+
+        const match = /^(\d{4}-\d{2}-\d{2})\.\.(\d{4}-\d{2}-\d{2})$/.exec(value || '');
+        if (!match || !this.isDate(match[1]) || !this.isDate(match[2]) || match[1] > match[2]) {
+            return this.defaults.dates;
+        }
+        return { from: match[1], to: match[2] };
+    }
+
+    isDate(value) {
+        const date = new Date(`${value}T00:00:00Z`);
+        return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+    }
+}
+
+// Export for use in both browser and Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UrlState;
+}
+
+if (typeof window !== 'undefined') {
+    window.UrlState = UrlState;
+}
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UrlState = require('./url-state');
+
+const urlState = new UrlState();
+
+test('the default view has an empty query and parses back to the defaults', () => {
+    assert.equal(urlState.toQuery(urlState.defaults), '');
+    assert.equal(urlState.toQuery({}), '');
+    assert.deepEqual(urlState.fromQuery(''), urlState.defaults);
+    assert.deepEqual(urlState.fromQuery(undefined), urlState.defaults);
+});
+
+test('a full view round-trips through the query string', () => {
+    const state = {
+        tab: 'head-to-head',
+        entity: 'candidate 1&2',
+        dates: { from: '2023-01-15', to: '2024-06-30' },
+        source: 'real',
+        election: '2024_AZ_Senate',
+        compare: ['candidate1', 'candidate2'],
+        statement: 'vaccines-3'
+    };
+    const query = urlState.toQuery(state);
+
+    assert.equal(query, '?tab=head-to-head&entity=candidate+1%262&dates=2023-01-15..2024-06-30&source=real&election=2024_AZ_Senate&compare=candidate1%2Ccandidate2&statement=vaccines-3');
+    assert.deepEqual(urlState.fromQuery(query), state);
+});
+
+test('date presets round-trip and only non-default values are written', () => {
+    const state = { ...urlState.defaults, dates: '1year' };
+
+    assert.equal(urlState.toQuery(state), '?dates=1year');
+    assert.deepEqual(urlState.fromQuery(urlState.toQuery(state)), state);
+});
+
+test('unknown keys are ignored and do not survive a round trip', () => {
+    const parsed = urlState.fromQuery('?utm_source=newsletter&tab=trends&debug=1');
+
+    assert.deepEqual(Object.keys(parsed), Object.keys(urlState.defaults));
+    assert.equal(parsed.tab, 'trends');
+    assert.equal(urlState.toQuery(parsed), '?tab=trends');
+});
+
+test('malformed values fall back to their defaults', () => {
+    const parsed = urlState.fromQuery('?source=remote&dates=2024-02-30..2024-03-01&entity=%20%20&compare=,,a,%20,b,');
+
+    assert.equal(parsed.source, 'mock');
+    assert.equal(parsed.dates, 'all');
+    assert.equal(parsed.entity, null);
+    assert.deepEqual(parsed.compare, ['a', 'b']);
+});
+
+test('date ranges must be real days in order', () => {
+    assert.deepEqual(urlState.parseDates('2024-01-01..2024-01-01'), { from: '2024-01-01', to: '2024-01-01' });
+    assert.equal(urlState.parseDates('2024-06-01..2024-01-01'), 'all');
+    assert.equal(urlState.parseDates('2024-1-1..2024-02-01'), 'all');
+    assert.equal(urlState.parseDates('last-week'), 'all');
+    assert.equal(urlState.isDate('2024-02-29'), true);
+    assert.equal(urlState.isDate('2023-02-29'), false);
+});